@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Evergreens component
+ * Tracks and artists that keep coming back month after month
+ */
+
+import { useState, useEffect } from 'react';
+import { formatMonth, formatNumber } from '../utils/formatters';
+
+/**
+ * Format a month range
+ * @param {string} from - Month key (YYYY-MM)
+ * @param {string} to - Month key (YYYY-MM)
+ * @returns {string} e.g. "January 2026 – March 2026"
+ */
+function formatMonthRange(from, to) {
+  return from === to ? formatMonth(from) : `${formatMonth(from)} – ${formatMonth(to)}`;
+}
+
+/**
+ * Evergreens - repeat tracks and artist streaks across playlists
+ * Fetches its own data from /api/history
+ *
+ * @param {Object} props
+ * @param {Function} props.onPlayTrack - Play a track in the embed (trackId)
+ */
+export default function Evergreens({ onPlayTrack }) {
+  const [history, setHistory] = useState(null);
+
+  // Fetch history on mount
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  /**
+   * Fetch playlist history from API
+   */
+  async function fetchHistory() {
+    try {
+      const res = await fetch('/api/history');
+      if (!res.ok) return;
+      setHistory(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch playlist history:', err);
+    }
+  }
+
+  const evergreens = history?.evergreens || [];
+  const streaks = history?.artistStreaks || [];
+
+  // Don't render until something has been featured twice
+  if (evergreens.length === 0 && streaks.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-bold mb-4">🌲 Evergreens</h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Tracks featured in several months */}
+        <div>
+          <h3 className="text-spotify-lightgray text-sm font-semibold uppercase mb-2">
+            Featured Again
+          </h3>
+          {evergreens.length === 0 ? (
+            <p className="text-spotify-gray text-sm">No repeat tracks yet</p>
+          ) : (
+            <ul className="space-y-1">
+              {evergreens.map((track) => (
+                <li key={track.id} className="track-item">
+                  {/* Play in embed */}
+                  {onPlayTrack && (
+                    <button
+                      onClick={() => onPlayTrack(track.id)}
+                      className="text-spotify-lightgray hover:text-spotify-green text-sm"
+                      aria-label={`Play ${track.name}`}
+                    >
+                      ▶
+                    </button>
+                  )}
+
+                  {/* Track info */}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-white font-medium truncate">{track.name}</p>
+                    <p className="text-spotify-lightgray text-sm truncate">
+                      {track.artists?.join(', ') || 'Unknown Artist'}
+                    </p>
+                  </div>
+
+                  {/* Months featured */}
+                  <span
+                    className="text-spotify-gray text-sm whitespace-nowrap"
+                    title={track.months.map(formatMonth).join(', ')}
+                  >
+                    {formatNumber(track.count)} months
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Artists featured in consecutive months */}
+        <div>
+          <h3 className="text-spotify-lightgray text-sm font-semibold uppercase mb-2">
+            Artist Streaks
+          </h3>
+          {streaks.length === 0 ? (
+            <p className="text-spotify-gray text-sm">No streaks yet</p>
+          ) : (
+            <ul className="space-y-1">
+              {streaks.map((artist) => (
+                <li key={artist.name} className="track-item">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-white font-medium truncate">
+                      {artist.name}
+                      {artist.currentStreak > 1 && (
+                        <span className="ml-2 text-xs text-spotify-green">🔥 ongoing</span>
+                      )}
+                    </p>
+                    <p className="text-spotify-lightgray text-sm truncate">
+                      Since {formatMonth(artist.firstFeatured.month)}
+                    </p>
+                  </div>
+
+                  {/* Longest run */}
+                  <span
+                    className="text-spotify-gray text-sm whitespace-nowrap"
+                    title={formatMonthRange(artist.longestStreak.from, artist.longestStreak.to)}
+                  >
+                    {formatNumber(artist.longestStreak.length)} in a row
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Hall of Fame component
+ * Lists past Track of the Month winners
+ */
+
+import { useState, useEffect } from 'react';
+import { formatMonth, formatNumber } from '../utils/formatters';
+
+/**
+ * Hall of Fame - one winning track per finalized month
+ * Fetches its own data from /api/votes/history
+ */
+export default function HallOfFame() {
+  const [months, setMonths] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Fetch vote history on mount
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  /**
+   * Fetch finalized months from API
+   */
+  async function fetchHistory() {
+    try {
+      const res = await fetch('/api/votes/history');
+      const data = await res.json();
+      setMonths((data.months || []).filter(m => m.winner));
+    } catch (err) {
+      console.error('Failed to fetch vote history:', err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Don't render until there's at least one past winner
+  if (loading || months.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-bold mb-4">🏆 Hall of Fame</h2>
+
+      {/* Winners list, newest first */}
+      <ul className="space-y-1">
+        {months.map(({ month, winner, totalVotes }) => (
+          <li key={month} className="track-item">
+            {/* Month */}
+            <span className="text-spotify-lightgray text-sm w-32 shrink-0">
+              {formatMonth(month)}
+            </span>
+
+            {/* Winning track */}
+            <div className="flex-1 min-w-0">
+              <p className="text-white font-medium truncate">
+                {winner.trackName}
+              </p>
+              <p className="text-spotify-lightgray text-sm truncate">
+                {winner.artists?.join(', ') || 'Unknown Artist'}
+              </p>
+            </div>
+
+            {/* Vote count */}
+            <span className="text-spotify-gray text-sm whitespace-nowrap">
+              {formatNumber(winner.votes)} of {formatNumber(totalVotes)} votes
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
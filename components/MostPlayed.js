@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Most played component
+ * Displays the tracks played most in the embed this month
+ */
+
+import { formatDuration, formatNumber } from '../utils/formatters';
+
+/**
+ * Most played leaderboard
+ * Ranked by counted listens (see lib/playEvents.js), then time listened
+ *
+ * @param {Object} props
+ * @param {Array} props.tracks - Array of { id, name, artists, plays, listenedMs }
+ * @param {Function} props.onPlayTrack - Play a track in the embed (trackId)
+ */
+export default function MostPlayed({ tracks = [], onPlayTrack }) {
+  // Don't render until something has been played
+  if (!tracks || tracks.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-bold mb-4">Most Played This Month</h2>
+
+      {/* Tracks list */}
+      <ol className="space-y-2">
+        {tracks.map((track, index) => (
+          <li
+            key={track.id}
+            className="flex items-center gap-3 p-2 rounded-lg hover:bg-zinc-800 transition-colors"
+          >
+            {/* Rank number */}
+            <span className="text-spotify-lightgray font-mono w-6 text-right">
+              {index + 1}.
+            </span>
+
+            {/* Track info */}
+            <div className="flex-1 min-w-0">
+              <p className="text-white truncate">
+                {track.name}
+              </p>
+              <p className="text-spotify-lightgray text-sm truncate">
+                {track.artists?.join(', ') || 'Unknown Artist'}
+              </p>
+            </div>
+
+            {/* Play in embed */}
+            {onPlayTrack && (
+              <button
+                onClick={() => onPlayTrack(track.id)}
+                className="text-spotify-lightgray hover:text-spotify-green text-sm"
+                aria-label={`Play ${track.name}`}
+              >
+                ▶
+              </button>
+            )}
+
+            {/* Plays + time listened */}
+            <div className="text-right whitespace-nowrap">
+              <span className="bg-spotify-green text-black text-sm font-bold px-2 py-0.5 rounded">
+                {formatNumber(track.plays)}
+              </span>
+              <p className="text-spotify-gray text-xs mt-1">
+                {formatDuration(track.listenedMs)}
+              </p>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -3,34 +3,100 @@
  * Displays recently added tracks to main playlist
  */
 
-import { formatDate } from '../utils/formatters';
+import { formatDate, formatMonth } from '../utils/formatters';
+
+/**
+ * Heading with optional previous/next month buttons
+ * 
+ * @param {Object} props
+ * @param {string} props.title - Section heading
+ * @param {Function} props.onMonthStep - Step the month (-1 or +1)
+ * @param {boolean} props.canStepForward - Whether a later month exists
+ */
+function Header({ title, onMonthStep, canStepForward }) {
+  return (
+    <div className="flex items-center justify-between gap-2 mb-4">
+      <h2 className="text-xl font-bold">{title}</h2>
+
+      {onMonthStep && (
+        <div className="flex gap-1">
+          <button
+            onClick={() => onMonthStep(-1)}
+            className="text-spotify-lightgray hover:text-white px-2"
+            aria-label="Previous month"
+          >
+            ←
+          </button>
+          <button
+            onClick={() => onMonthStep(1)}
+            disabled={!canStepForward}
+            className="text-spotify-lightgray hover:text-white px-2 disabled:opacity-30"
+            aria-label="Next month"
+          >
+            →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
 
 /**
  * New tracks list
- * Shows tracks added this month (not in historical playlists)
+ * Shows tracks added in a calendar month (or first added to a playlist)
  * 
  * @param {Object} props
  * @param {Array} props.tracks - Array of track objects
+ * @param {Function} props.onPlayTrack - Play a track in the embed (trackId)
+ * @param {string} props.title - Section heading (default: "New in <month>")
+ * @param {string} props.month - Month the tracks were added (YYYY-MM)
+ * @param {Function} props.onMonthStep - Step to the previous/next month (-1 or +1)
+ * @param {boolean} props.canStepForward - Whether a later month exists
  */
-export default function NewTracks({ tracks = [] }) {
+export default function NewTracks({
+  tracks = [],
+  onPlayTrack,
+  title,
+  month,
+  onMonthStep,
+  canStepForward = false,
+}) {
+  const heading = title || (month ? `New in ${formatMonth(month)}` : 'New This Month');
+  const header = (
+    <Header title={heading} onMonthStep={onMonthStep} canStepForward={canStepForward} />
+  );
+
   // Don't render if no new tracks
   if (!tracks || tracks.length === 0) {
     return (
       <div className="card">
-        <h2 className="text-xl font-bold mb-4">New This Month</h2>
-        <p className="text-spotify-lightgray">No new tracks yet</p>
+        {header}
+        <p className="text-spotify-lightgray">
+          {month ? `No tracks added in ${formatMonth(month)}` : 'No new tracks yet'}
+        </p>
       </div>
     );
   }
 
   return (
     <div className="card">
-      <h2 className="text-xl font-bold mb-4">New This Month</h2>
+      {header}
       
       {/* Tracks list */}
       <ul className="space-y-1">
         {tracks.map((track) => (
           <li key={track.id} className="track-item">
+            {/* Play in embed */}
+            {onPlayTrack && (
+              <button
+                onClick={() => onPlayTrack(track.id)}
+                className="text-spotify-lightgray hover:text-spotify-green text-sm"
+                aria-label={`Play ${track.name}`}
+              >
+                ▶
+              </button>
+            )}
+
             {/* Track info */}
             <div className="flex-1 min-w-0">
               {/* Track name */}
@@ -3,14 +3,18 @@
  * Displays list of historical/archived playlists
  */
 
-import { formatNumber } from '../utils/formatters';
+import Link from 'next/link';
+import Image from 'next/image';
+import { formatDuration, formatNumber } from '../utils/formatters';
 
 /**
  * Other playlists section
- * Shows historical playlists with links and track counts
+ * Cover-art grid of historical playlists linking to their stats pages,
+ * with track count, total duration and top artist, plus a Spotify link
+ * where the playlist exists on Spotify
  * 
  * @param {Object} props
- * @param {Array} props.playlists - Array of playlist objects
+ * @param {Array} props.playlists - Array of { id, name, coverImage, trackCount, durationMs, topArtist, url, statsPath }
  */
 export default function OtherPlaylists({ playlists = [] }) {
   // Don't render if no other playlists
@@ -20,29 +24,74 @@ export default function OtherPlaylists({ playlists = [] }) {
 
   return (
     <div className="card">
-      <h2 className="text-xl font-bold mb-4">Past Playlists</h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold">Past Playlists</h2>
+        <Link href="/diff" className="text-sm text-spotify-lightgray hover:text-white">
+          Compare months →
+        </Link>
+      </div>
       
-      {/* Playlists grid */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+      {/* Cover grid */}
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
         {playlists.map((playlist) => (
-          <a
+          <div
             key={playlist.id}
-            href={playlist.url}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="flex items-center justify-between p-3 rounded-lg 
-                       bg-zinc-800 hover:bg-zinc-700 transition-colors"
+            className="relative p-3 rounded-lg bg-zinc-800 hover:bg-zinc-700 transition-colors"
           >
-            {/* Playlist name */}
-            <span className="text-white truncate pr-2">
-              {playlist.name}
-            </span>
-            
-            {/* Track count */}
-            <span className="text-spotify-lightgray text-sm whitespace-nowrap">
-              {formatNumber(playlist.trackCount)} tracks
-            </span>
-          </a>
+            {/* Stats page on this site */}
+            <Link
+              href={playlist.statsPath || `/playlist/${encodeURIComponent(playlist.id)}`}
+              className="block"
+            >
+              {/* Cover art (placeholder for archives without one) */}
+              <div className="relative aspect-square mb-3 rounded-md overflow-hidden shadow-lg">
+                {playlist.coverImage ? (
+                  <Image
+                    src={playlist.coverImage}
+                    alt={playlist.name}
+                    fill
+                    sizes="(min-width: 1024px) 200px, (min-width: 640px) 33vw, 50vw"
+                    className="object-cover"
+                  />
+                ) : (
+                  <div className="w-full h-full bg-gradient-to-br from-spotify-green to-green-700 flex items-center justify-center">
+                    <span className="text-4xl">🎵</span>
+                  </div>
+                )}
+              </div>
+
+              {/* Playlist name */}
+              <p className="text-white font-medium truncate" title={playlist.name}>
+                {playlist.name}
+              </p>
+
+              {/* Track count + total duration */}
+              <p className="text-spotify-lightgray text-sm truncate">
+                {formatNumber(playlist.trackCount)} tracks · {formatDuration(playlist.durationMs || 0)}
+              </p>
+
+              {/* Top artist */}
+              {playlist.topArtist && (
+                <p className="text-spotify-gray text-xs truncate mt-1">
+                  Top: {playlist.topArtist}
+                </p>
+              )}
+            </Link>
+
+            {/* Archives without a Spotify playlist yet aren't linked */}
+            {playlist.url && (
+              <a
+                href={playlist.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="absolute top-4 right-4 bg-black/60 rounded-full w-7 h-7 flex items-center justify-center text-white hover:text-spotify-green text-sm"
+                aria-label={`Open ${playlist.name} in Spotify`}
+                title="Open in Spotify"
+              >
+                ↗
+              </a>
+            )}
+          </div>
         ))}
       </div>
     </div>
@@ -2,26 +2,61 @@
  * @fileoverview Spotify Embed with IFrame API integration
  * Extracts track data from the embed player as users interact with it
  * 
+ * Turns the stream of playback_update events into play events for
+ * /api/events (see lib/playEvents.js):
+ * - play when playback starts or a new track begins
+ * - progress every REPORT_EVERY_MS of listening
+ * - pause when playback stops
+ * listenedMs on progress/pause is time actually played since the last report
+ * 
+ * The playing track is resolved from the event's URI, or by matching its
+ * duration against the main playlist (see lib/trackMatch.js)
+ * 
+ * The control bar plays/pauses, seeks, and steps through the main playlist.
+ * Other sections ask for a track via the playRequest prop, which loads it
+ * in the embed with loadUri until "Back to playlist" is clicked.
+ * 
  * Uses Spotify IFrame API: https://developer.spotify.com/documentation/embeds
  */
 
 import { useEffect, useRef, useState, useCallback } from 'react';
+import { resolvePlayingTrack } from '../lib/trackMatch';
+import { formatTrackTime } from '../utils/formatters';
+
+// Report listening time at least this often while playing
+const REPORT_EVERY_MS = 15 * 1000;
+
+// Bigger position jumps are seeks, not listening
+const MAX_TICK_MS = 5 * 1000;
 
 /**
  * Spotify Embed component with data extraction
  * 
  * @param {Object} props
  * @param {string} props.playlistId - Spotify playlist ID
- * @param {Function} props.onTrackData - Callback when track data is extracted
+ * @param {Object[]} props.tracks - Main playlist tracks ({ id, name, artists, durationMs })
+ * @param {Object} props.playRequest - Track to load: { trackId, requestedAt } (new object each click)
+ * @param {Function} props.onTrackData - Callback with each play event
  * @param {Function} props.onPlaylistData - Callback when playlist data is extracted
  */
-export default function SpotifyEmbed({ playlistId, onTrackData, onPlaylistData }) {
+export default function SpotifyEmbed({ playlistId, tracks = [], playRequest, onTrackData, onPlaylistData }) {
   const embedRef = useRef(null);
   const controllerRef = useRef(null);
+  const playbackRef = useRef({ playing: false, trackId: null, position: 0, duration: 0, unreported: 0 });
+
+  // Latest tracks for the playback listener (registered once per playlist)
+  const tracksRef = useRef(tracks);
+  tracksRef.current = tracks;
+
+  // URI loaded with loadUri (null while the playlist is loaded)
+  const loadedUriRef = useRef(null);
+
   const [isReady, setIsReady] = useState(false);
   const [currentTrack, setCurrentTrack] = useState(null);
   const [extractedTracks, setExtractedTracks] = useState([]);
   const [playlistInfo, setPlaylistInfo] = useState(null);
+  const [loadedTrackId, setLoadedTrackId] = useState(null);
+  const [seekPosition, setSeekPosition] = useState(null);
 
   // Initialize Spotify IFrame API
   useEffect(() => {
@@ -49,14 +84,10 @@ export default function SpotifyEmbed({ playlistId, onTrackData, onPlaylistData }
 
         // Listen for playback updates - this gives us track info!
         EmbedController.addListener('playback_update', (e) => {
-          if (e.data && e.data.isPaused === false) {
-            // Extract track data from playback event
-            const trackData = extractTrackFromEvent(e.data);
-            if (trackData) {
-              setCurrentTrack(trackData);
-              addExtractedTrack(trackData);
-            }
-          }
+          if (!e.data) return;
+
+          setCurrentTrack(extractTrackFromEvent(e.data));
+          trackPlayback(e.data);
         });
 
         // Listen for ready event
@@ -75,6 +106,19 @@ export default function SpotifyEmbed({ playlistId, onTrackData, onPlaylistData }
     };
   }, [playlistId]);
 
+  /**
+   * Resolve the playing track, falling back to the loaded track's URI
+   * 
+   * @param {Object} data - playback_update event data
+   * @returns {Object|null} Resolved track (see lib/trackMatch.js)
+   */
+  const resolveTrack = useCallback((data) => {
+    return resolvePlayingTrack(
+      { ...data, uri: data.uri || loadedUriRef.current },
+      tracksRef.current
+    );
+  }, []);
+
   /**
    * Extract track info from playback event data
    */
@@ -87,31 +131,98 @@ export default function SpotifyEmbed({ playlistId, onTrackData, onPlaylistData }
       duration: data.duration || 0,
       isPaused: data.isPaused,
       isBuffering: data.isBuffering,
+
+      // { id, name, artists, matchedBy } or null if unknown
+      track: resolveTrack(data),
       
       // These may be available depending on API version
       timestamp: Date.now(),
     };
-  }, []);
+  }, [resolveTrack]);
 
   /**
-   * Add track to extracted list (dedupe by some identifier)
+   * Add event to extracted list and pass it to the parent
    */
-  const addExtractedTrack = useCallback((track) => {
-    setExtractedTracks(prev => {
-      // Simple dedupe - just keep last 50 entries
-      const updated = [...prev, track].slice(-50);
-      
-      // Notify parent
-      if (onTrackData) {
-        onTrackData(track, updated);
-      }
-      
-      return updated;
-    });
+  const addExtractedTrack = useCallback((event) => {
+    // Keep the last 50 for the status panel
+    setExtractedTracks(prev => [...prev, event].slice(-50));
+
+    if (onTrackData) {
+      onTrackData(event);
+    }
   }, [onTrackData]);
 
   /**
-   * Try to get more data by playing/pausing
+   * Emit a play event, reporting listening time not yet reported
+   * 
+   * @param {string} type - 'play', 'progress' or 'pause'
+   */
+  const emitPlayEvent = useCallback((type) => {
+    const playback = playbackRef.current;
+
+    addExtractedTrack({
+      type,
+      trackId: playback.trackId,
+      playlistId,
+      position: playback.position,
+      duration: playback.duration,
+      listenedMs: type === 'play' ? 0 : playback.unreported,
+      timestamp: Date.now(),
+    });
+
+    if (type !== 'play') {
+      playback.unreported = 0;
+    }
+  }, [addExtractedTrack, playlistId]);
+
+  /**
+   * Track playback state across playback_update events
+   * 
+   * @param {Object} data - playback_update event data
+   */
+  const trackPlayback = useCallback((data) => {
+    const playback = playbackRef.current;
+    const playing = data.isPaused === false;
+    const position = data.position || 0;
+    const duration = data.duration || 0;
+    const trackId = resolveTrack(data)?.id || null;
+
+    // Count time actually played since the last update
+    const tick = position - playback.position;
+    if (playback.playing && tick > 0 && tick <= MAX_TICK_MS) {
+      playback.unreported += tick;
+    }
+
+    // A different track (or, if unresolved, duration) means the embed moved on
+    const newTrack = trackId && playback.trackId
+      ? trackId !== playback.trackId
+      : playback.duration > 0 && duration !== playback.duration;
+
+    if (playing && (!playback.playing || newTrack)) {
+      // Close out the previous track before starting the next
+      if (newTrack && playback.unreported > 0) {
+        emitPlayEvent('progress');
+      }
+      Object.assign(playback, { playing, trackId, position, duration });
+      emitPlayEvent('play');
+      return;
+    }
+
+    if (!playing && playback.playing) {
+      Object.assign(playback, { playing, trackId, position, duration });
+      emitPlayEvent('pause');
+      return;
+    }
+
+    Object.assign(playback, { playing, trackId, position, duration });
+
+    if (playback.unreported >= REPORT_EVERY_MS) {
+      emitPlayEvent('progress');
+    }
+  }, [emitPlayEvent, resolveTrack]);
+
+  /**
+   * Play or pause
    */
   const togglePlayback = useCallback(() => {
     if (controllerRef.current) {
@@ -120,15 +231,75 @@ export default function SpotifyEmbed({ playlistId, onTrackData, onPlaylistData }
   }, []);
 
   /**
-   * Skip to next track to extract more data
+   * Load a single track in the embed and start playing it
+   * 
+   * @param {string} trackId - Spotify track ID
+   */
+  const loadTrack = useCallback((trackId) => {
+    const controller = controllerRef.current;
+    if (!controller || !trackId) return;
+
+    loadedUriRef.current = `spotify:track:${trackId}`;
+    setLoadedTrackId(trackId);
+    controller.loadUri(loadedUriRef.current);
+    controller.play();
+  }, []);
+
+  /**
+   * Load the playlist back into the embed
+   */
+  const backToPlaylist = useCallback(() => {
+    const controller = controllerRef.current;
+    if (!controller) return;
+
+    loadedUriRef.current = null;
+    setLoadedTrackId(null);
+    controller.loadUri(`spotify:playlist:${playlistId}`);
+  }, [playlistId]);
+
+  /**
+   * Step through the main playlist from the current track
+   * 
+   * @param {number} offset - 1 for next, -1 for previous
    */
-  const nextTrack = useCallback(() => {
+  const skipTrack = useCallback((offset) => {
+    const list = tracksRef.current;
+    if (list.length === 0) return;
+
+    const currentId = playbackRef.current.trackId || loadedTrackId;
+    const index = list.findIndex(t => t.id === currentId);
+
+    // Unknown current track - start from the top
+    const nextIndex = index === -1
+      ? 0
+      : (index + offset + list.length) % list.length;
+
+    loadTrack(list[nextIndex].id);
+  }, [loadTrack, loadedTrackId]);
+
+  /**
+   * Seek to a position
+   * 
+   * @param {number} ms - Position in milliseconds
+   */
+  const seekTo = useCallback((ms) => {
+    setSeekPosition(null);
     if (controllerRef.current) {
-      // IFrame API doesn't have direct next/prev, but we can seek
-      // The user needs to manually navigate in the embed
+      controllerRef.current.seek(Math.floor(ms / 1000));
     }
   }, []);
 
+  // Load tracks requested by other sections (e.g. vote previews)
+  useEffect(() => {
+    if (isReady && playRequest?.trackId) {
+      loadTrack(playRequest.trackId);
+    }
+  }, [isReady, playRequest, loadTrack]);
+
+  const isPlaying = currentTrack ? !currentTrack.isPaused : false;
+  const duration = currentTrack?.duration || 0;
+  const position = seekPosition ?? currentTrack?.position ?? 0;
+
   return (
     <div className="spotify-embed-container">
       {/* Container for Spotify IFrame API to inject into */}
@@ -137,6 +308,64 @@ export default function SpotifyEmbed({ playlistId, onTrackData, onPlaylistData }
         className="rounded-xl overflow-hidden"
       />
 
+      {/* Control bar */}
+      <div className="mt-4 p-3 bg-zinc-800 rounded-lg flex flex-wrap items-center gap-3">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => skipTrack(-1)}
+            disabled={!isReady || tracks.length === 0}
+            className="btn-secondary text-xs px-3 disabled:opacity-50"
+            aria-label="Previous track"
+          >
+            ⏮
+          </button>
+          <button
+            onClick={togglePlayback}
+            disabled={!isReady}
+            className="btn-spotify text-sm px-4 py-2 disabled:opacity-50"
+            aria-label={isPlaying ? 'Pause' : 'Play'}
+          >
+            {isPlaying ? '⏸' : '▶'}
+          </button>
+          <button
+            onClick={() => skipTrack(1)}
+            disabled={!isReady || tracks.length === 0}
+            className="btn-secondary text-xs px-3 disabled:opacity-50"
+            aria-label="Next track"
+          >
+            ⏭
+          </button>
+        </div>
+
+        {/* Seek bar */}
+        <div className="flex flex-1 items-center gap-2 min-w-[12rem]">
+          <span className="text-xs text-spotify-gray font-mono">{formatTrackTime(position)}</span>
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={1000}
+            value={Math.min(position, duration)}
+            disabled={!isReady || !duration}
+            onChange={e => setSeekPosition(Number(e.target.value))}
+            onPointerUp={e => seekTo(Number(e.target.value))}
+            onKeyUp={e => seekTo(Number(e.target.value))}
+            className="flex-1 accent-spotify-green"
+            aria-label="Seek"
+          />
+          <span className="text-xs text-spotify-gray font-mono">{formatTrackTime(duration)}</span>
+        </div>
+
+        {loadedTrackId && (
+          <button
+            onClick={backToPlaylist}
+            className="text-xs text-spotify-lightgray hover:text-white underline"
+          >
+            Back to playlist
+          </button>
+        )}
+      </div>
+
       {/* Data extraction status */}
       <div className="mt-4 p-4 bg-zinc-800 rounded-lg">
         <div className="flex items-center justify-between mb-2">
@@ -151,6 +380,19 @@ export default function SpotifyEmbed({ playlistId, onTrackData, onPlaylistData }
         {/* Current track info */}
         {currentTrack && (
           <div className="text-xs text-spotify-lightgray mb-2">
+            {currentTrack.track ? (
+              <p className="text-white text-sm">
+                {currentTrack.track.name || 'Track not in playlist data'}
+                {currentTrack.track.artists && (
+                  <span className="text-spotify-lightgray"> — {currentTrack.track.artists.join(', ')}</span>
+                )}
+                {currentTrack.track.matchedBy === 'duration' && (
+                  <span className="text-spotify-gray"> (matched by duration)</span>
+                )}
+              </p>
+            ) : (
+              <p>Track: unknown</p>
+            )}
             <p>Duration: {Math.round(currentTrack.duration / 1000)}s</p>
             <p>Position: {Math.round(currentTrack.position / 1000)}s</p>
             <p>Playing: {currentTrack.isPaused ? 'No' : 'Yes'}</p>
@@ -3,7 +3,7 @@
  * Displays total vs current playlist statistics
  */
 
-import { formatDuration, formatNumber } from '../utils/formatters';
+import { formatDuration, formatNumber, formatMonth } from '../utils/formatters';
 
 /**
  * Single stat box component
@@ -12,12 +12,13 @@ import { formatDuration, formatNumber } from '../utils/formatters';
  * @param {string} props.label - Stat label
  * @param {string} props.value - Stat value
  * @param {string} props.subtext - Optional subtext
+ * @param {boolean} props.compact - Smaller value text
  */
-function StatBox({ label, value, subtext }) {
+function StatBox({ label, value, subtext, compact }) {
   return (
     <div className="stat-box">
       <p className="text-spotify-lightgray text-sm mb-1">{label}</p>
-      <p className="text-2xl font-bold text-white">{value}</p>
+      <p className={`${compact ? 'text-lg' : 'text-2xl'} font-bold text-white`}>{value}</p>
       {subtext && (
         <p className="text-spotify-gray text-xs mt-1">{subtext}</p>
       )}
@@ -31,20 +32,30 @@ function StatBox({ label, value, subtext }) {
  * @param {Object} props
  * @param {Object} props.total - Total stats (all unique tracks)
  * @param {Object} props.current - Current stats (main playlist only)
+ * @param {string} props.currentNote - Subtext for the current stats (default: main playlist)
+ * @param {Object} props.added - Tracks added during the month ({ tracks, durationMs })
+ * @param {string} props.month - Month the added stats cover (YYYY-MM)
+ * @param {boolean} props.compact - Tighter layout without the heading (embed widget)
  */
-export default function StatsGrid({ total, current }) {
+export default function StatsGrid({ total, current, currentNote, added, month, compact = false }) {
+  // "+12 in October 2026" when we know what was added
+  const addedNote = added && month
+    ? `+${formatNumber(added.tracks)} in ${formatMonth(month)}`
+    : 'This month';
+
   return (
-    <div className="card">
-      <h2 className="text-xl font-bold mb-4">Playlist Stats</h2>
+    <div className={compact ? '' : 'card'}>
+      {!compact && <h2 className="text-xl font-bold mb-4">Playlist Stats</h2>}
       
       {/* Grid layout: 2 columns on mobile, 4 on desktop */}
-      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+      <div className={`grid grid-cols-2 ${compact ? 'sm:grid-cols-4 gap-2' : 'lg:grid-cols-4 gap-4'}`}>
         
         {/* Total tracks (all unique) */}
         <StatBox
           label="Total Tracks"
           value={formatNumber(total?.tracks || 0)}
           subtext="All time unique"
+          compact={compact}
         />
         
         {/* Total listening time */}
@@ -52,20 +63,23 @@ export default function StatsGrid({ total, current }) {
           label="Total Time"
           value={formatDuration(total?.durationMs || 0)}
           subtext="All playlists"
+          compact={compact}
         />
         
         {/* Current tracks (main playlist) */}
         <StatBox
           label="Current Tracks"
           value={formatNumber(current?.tracks || 0)}
-          subtext="This month"
+          subtext={currentNote || addedNote}
+          compact={compact}
         />
         
         {/* Current listening time */}
         <StatBox
           label="Current Time"
           value={formatDuration(current?.durationMs || 0)}
-          subtext="Main playlist"
+          subtext={currentNote || 'Main playlist'}
+          compact={compact}
         />
       </div>
     </div>
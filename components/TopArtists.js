@@ -5,12 +5,14 @@
 
 /**
  * Top artists list
- * Shows top 10 artists with their track counts
+ * Shows top artists (10 by default) with their track counts
  * 
  * @param {Object} props
- * @param {Array} props.artists - Array of { name, count } objects
+ * @param {Array} props.artists - Array of { name, count, trackId } objects
+ * @param {Function} props.onPlayTrack - Play a track in the embed (trackId)
+ * @param {number} props.limit - Max artists to show
  */
-export default function TopArtists({ artists = [] }) {
+export default function TopArtists({ artists = [], onPlayTrack, limit = 10 }) {
   // Don't render if no artists
   if (!artists || artists.length === 0) {
     return null;
@@ -22,7 +24,7 @@ export default function TopArtists({ artists = [] }) {
       
       {/* Artists list */}
       <ol className="space-y-2">
-        {artists.map((artist, index) => (
+        {artists.slice(0, limit).map((artist, index) => (
           <li
             key={artist.name}
             className="flex items-center gap-3 p-2 rounded-lg hover:bg-zinc-800 transition-colors"
@@ -36,6 +38,17 @@ export default function TopArtists({ artists = [] }) {
             <span className="flex-1 text-white truncate">
               {artist.name}
             </span>
+
+            {/* Play their latest track in embed */}
+            {onPlayTrack && artist.trackId && (
+              <button
+                onClick={() => onPlayTrack(artist.trackId)}
+                className="text-spotify-lightgray hover:text-spotify-green text-sm"
+                aria-label={`Play a track by ${artist.name}`}
+              >
+                ▶
+              </button>
+            )}
             
             {/* Track count badge */}
             <span className="bg-spotify-green text-black text-sm font-bold px-2 py-0.5 rounded">
@@ -1,9 +1,27 @@
 /**
  * @fileoverview Track of the Month voting component
  * Allows users to vote and view current results
+ * Supports single-pick and ranked (top 3) months, as set by /api/vote
+ * Shows a countdown to the voting window opening/closing; results are
+ * only shown once voting has closed
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { formatCountdown, formatNumber } from '../utils/formatters';
+import { solveChallenge } from '../utils/proofOfWork';
+
+/**
+ * Work out the window status at a given time
+ * 
+ * @param {Object} votingWindow - { opensAt, closesAt }
+ * @param {number} now - Current time (ms)
+ * @returns {string} 'upcoming', 'open' or 'closed'
+ */
+function getStatusAt(votingWindow, now) {
+  if (now < new Date(votingWindow.opensAt).getTime()) return 'upcoming';
+  if (now >= new Date(votingWindow.closesAt).getTime()) return 'closed';
+  return 'open';
+}
 
 /**
  * Voting section component
@@ -11,20 +29,51 @@ import { useState, useEffect } from 'react';
  * 
  * @param {Object} props
  * @param {Array} props.tracks - Available tracks to vote for
+ * @param {Function} props.onPlayTrack - Preview a track in the embed (trackId)
  */
-export default function VotingSection({ tracks = [] }) {
+export default function VotingSection({ tracks = [], onPlayTrack }) {
   // State for vote results
   const [results, setResults] = useState([]);
+  const [mode, setMode] = useState('single');
+  const [maxRanks, setMaxRanks] = useState(3);
+  const [ranking, setRanking] = useState([]);
   const [loading, setLoading] = useState(true);
   const [voting, setVoting] = useState(false);
   const [voted, setVoted] = useState(false);
+  const [votedTrackName, setVotedTrackName] = useState(null);
   const [error, setError] = useState(null);
+  const [votingWindow, setVotingWindow] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [challenge, setChallenge] = useState(null);
+  const [honeypot, setHoneypot] = useState('');
 
   // Fetch current vote results on mount
   useEffect(() => {
     fetchVotes();
   }, []);
 
+  // Tick the countdown while voting hasn't closed
+  useEffect(() => {
+    if (!votingWindow || votingWindow.status === 'closed') return undefined;
+
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [votingWindow]);
+
+  // Window opened or closed while the page was open - reload once when the
+  // local countdown crosses the boundary (not on every mismatch with the
+  // server's status, which clock skew could turn into a refetch loop)
+  const status = votingWindow ? getStatusAt(votingWindow, now) : null;
+  const previousStatusRef = useRef(null);
+  useEffect(() => {
+    const previous = previousStatusRef.current;
+    previousStatusRef.current = status;
+
+    if (previous && status && status !== previous) {
+      fetchVotes();
+    }
+  }, [status]);
+
   /**
    * Fetch current vote counts from API
    */
@@ -33,6 +82,27 @@ export default function VotingSection({ tracks = [] }) {
       const res = await fetch('/api/vote');
       const data = await res.json();
       setResults(data.results || []);
+      setMode(data.mode || 'single');
+      setMaxRanks(data.maxRanks || 3);
+      setChallenge(data.challenge || null);
+      setNow(Date.now());
+
+      if (data.opensAt && data.closesAt) {
+        setVotingWindow({
+          status: data.status,
+          opensAt: data.opensAt,
+          closesAt: data.closesAt,
+          totalVotes: data.totalVotes || 0,
+        });
+      }
+
+      // Server remembers this visitor's vote across reloads
+      if (data.votedFor) {
+        const match = [...(data.results || []), ...tracks.map(t => ({ trackId: t.id, trackName: t.name }))]
+          .find(r => r.trackId === data.votedFor);
+        setVoted(true);
+        setVotedTrackName(match?.trackName || null);
+      }
     } catch (err) {
       console.error('Failed to fetch votes:', err);
     } finally {
@@ -41,26 +111,63 @@ export default function VotingSection({ tracks = [] }) {
   }
 
   /**
-   * Submit a vote for a track
+   * Send a ballot to the API
    * 
-   * @param {Object} track - Track to vote for
+   * @param {Object} ballot - { trackId } or { ranking: [trackId, ...] }
+   * @param {string} pickName - Name of the (first) picked track
    */
-  async function handleVote(track) {
+  async function submitBallot(ballot, pickName) {
     if (voting || voted) return;
 
     setVoting(true);
     setError(null);
 
-    try {
-      const res = await fetch('/api/vote', {
+    // Solve the proof-of-work challenge (if the server sent one) and post
+    const post = async activeChallenge => {
+      const proof = activeChallenge
+        ? { challenge: activeChallenge.token, nonce: await solveChallenge(activeChallenge) }
+        : {};
+
+      return fetch('/api/vote', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          trackId: track.id,
-          trackName: track.name,
-          artists: track.artists,
-        }),
+        body: JSON.stringify({ ...ballot, ...proof, website: honeypot }),
       });
+    };
+
+    try {
+      let res = await post(challenge);
+
+      // Challenge expired while the page was open - retry once with the fresh one
+      if (res.status === 400) {
+        const data = await res.clone().json();
+        if (data.challenge) {
+          res = await post(data.challenge);
+        }
+      }
+
+      if (res.status === 429) {
+        const data = await res.json();
+        setError(`Too many attempts. Try again in ${formatCountdown(data.retryAfter * 1000)}.`);
+        return;
+      }
+
+      // Already voted this month (from another tab or before a reload)
+      if (res.status === 409) {
+        const data = await res.json();
+        setVoted(true);
+        setVotedTrackName(data.trackName);
+        await fetchVotes();
+        return;
+      }
+
+      // Voting window opened/closed since the page loaded
+      if (res.status === 403) {
+        const data = await res.json();
+        setError(data.error);
+        await fetchVotes();
+        return;
+      }
 
       if (!res.ok) {
         throw new Error('Vote failed');
@@ -68,6 +175,7 @@ export default function VotingSection({ tracks = [] }) {
 
       // Mark as voted and refresh results
       setVoted(true);
+      setVotedTrackName(pickName);
       await fetchVotes();
 
     } catch (err) {
@@ -78,10 +186,73 @@ export default function VotingSection({ tracks = [] }) {
     }
   }
 
+  /**
+   * Submit a single vote for a track
+   * 
+   * @param {Object} track - Track to vote for
+   */
+  function handleVote(track) {
+    submitBallot({ trackId: track.id }, track.name);
+  }
+
+  /**
+   * Add a track to the ranking, or remove it if already ranked
+   * 
+   * @param {Object} track - Track clicked
+   */
+  function toggleRanked(track) {
+    setRanking(prev => {
+      if (prev.some(t => t.id === track.id)) {
+        return prev.filter(t => t.id !== track.id);
+      }
+      return prev.length < maxRanks ? [...prev, track] : prev;
+    });
+  }
+
+  /**
+   * Submit the ranked ballot
+   */
+  function handleRankedSubmit() {
+    if (ranking.length === 0) return;
+    submitBallot({ ranking: ranking.map(t => t.id) }, ranking[0].name);
+  }
+
+  /**
+   * Preview button - plays the track in the embed before voting
+   * 
+   * @param {Object} track - Track to preview
+   */
+  function renderPreviewButton(track) {
+    if (!onPlayTrack) return null;
+
+    return (
+      <button
+        onClick={() => onPlayTrack(track.id)}
+        className="text-spotify-lightgray hover:text-spotify-green text-sm px-1"
+        aria-label={`Preview ${track.name}`}
+        title="Preview in player"
+      >
+        ▶
+      </button>
+    );
+  }
+
   return (
     <div className="card">
       <h2 className="text-xl font-bold mb-4">🗳️ Track of the Month</h2>
       
+      {/* Honeypot - hidden from people, bots fill it in */}
+      <input
+        type="text"
+        name="website"
+        value={honeypot}
+        onChange={e => setHoneypot(e.target.value)}
+        tabIndex={-1}
+        autoComplete="off"
+        aria-hidden="true"
+        className="absolute -left-[9999px] h-px w-px opacity-0"
+      />
+
       {/* Error message */}
       {error && (
         <p className="text-red-400 text-sm mb-4">{error}</p>
@@ -92,11 +263,42 @@ export default function VotingSection({ tracks = [] }) {
         <p className="text-spotify-lightgray">Loading votes...</p>
       ) : (
         <>
-          {/* Current results */}
+          {/* Voting window status and countdown */}
+          {votingWindow && (
+            <div className="bg-zinc-800 rounded-lg p-3 mb-4 text-sm">
+              {status === 'upcoming' && (
+                <p className="text-white">
+                  ⏳ Voting opens in{' '}
+                  <span className="font-mono text-spotify-green">
+                    {formatCountdown(new Date(votingWindow.opensAt) - now)}
+                  </span>
+                </p>
+              )}
+              {status === 'open' && (
+                <>
+                  <p className="text-white">
+                    ⏱️ Voting closes in{' '}
+                    <span className="font-mono text-spotify-green">
+                      {formatCountdown(new Date(votingWindow.closesAt) - now)}
+                    </span>
+                  </p>
+                  <p className="text-spotify-gray text-xs mt-1">
+                    {formatNumber(votingWindow.totalVotes)} votes so far · results revealed when voting closes
+                  </p>
+                </>
+              )}
+              {status === 'closed' && (
+                <p className="text-white">🔒 Voting is closed</p>
+              )}
+            </div>
+          )}
+
+          {/* Results (only revealed once voting closes) */}
           {results.length > 0 && (
             <div className="mb-6">
               <h3 className="text-sm font-medium text-spotify-lightgray mb-2">
-                Current Results
+                {status === 'closed' ? 'Final Results' : 'Current Results'}
+                {mode === 'ranked' && ' (instant runoff)'}
               </h3>
               <ul className="space-y-2">
                 {results.slice(0, 5).map((item, index) => (
@@ -122,32 +324,70 @@ export default function VotingSection({ tracks = [] }) {
             </div>
           )}
 
-          {/* Vote buttons */}
-          {!voted && tracks.length > 0 && (
+          {/* Vote buttons (single mode) */}
+          {!voted && status === 'open' && mode !== 'ranked' && tracks.length > 0 && (
             <div>
               <h3 className="text-sm font-medium text-spotify-lightgray mb-2">
                 Cast Your Vote
               </h3>
               <div className="flex flex-wrap gap-2">
                 {tracks.slice(0, 5).map((track) => (
-                  <button
-                    key={track.id}
-                    onClick={() => handleVote(track)}
-                    disabled={voting}
-                    className="btn-secondary text-xs disabled:opacity-50"
-                  >
-                    {track.name.slice(0, 20)}
-                    {track.name.length > 20 && '...'}
-                  </button>
+                  <span key={track.id} className="inline-flex items-center gap-1">
+                    {renderPreviewButton(track)}
+                    <button
+                      onClick={() => handleVote(track)}
+                      disabled={voting}
+                      className="btn-secondary text-xs disabled:opacity-50"
+                    >
+                      {track.name.slice(0, 20)}
+                      {track.name.length > 20 && '...'}
+                    </button>
+                  </span>
                 ))}
               </div>
             </div>
           )}
 
+          {/* Ranked ballot (ranked mode) */}
+          {!voted && status === 'open' && mode === 'ranked' && tracks.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-spotify-lightgray mb-2">
+                Rank Your Top {maxRanks}
+              </h3>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {tracks.map((track) => {
+                  const rank = ranking.findIndex(t => t.id === track.id);
+                  return (
+                    <span key={track.id} className="inline-flex items-center gap-1">
+                      {renderPreviewButton(track)}
+                      <button
+                        onClick={() => toggleRanked(track)}
+                        disabled={voting || (rank === -1 && ranking.length >= maxRanks)}
+                        className={`btn-secondary text-xs disabled:opacity-50 ${rank !== -1 ? 'ring-2 ring-spotify-green' : ''}`}
+                      >
+                        {rank !== -1 && `${rank + 1}. `}
+                        {track.name.slice(0, 20)}
+                        {track.name.length > 20 && '...'}
+                      </button>
+                    </span>
+                  );
+                })}
+              </div>
+              <button
+                onClick={handleRankedSubmit}
+                disabled={voting || ranking.length === 0}
+                className="btn-spotify text-sm py-2 disabled:opacity-50"
+              >
+                {voting ? 'Submitting...' : `Submit Ranking (${ranking.length}/${maxRanks})`}
+              </button>
+            </div>
+          )}
+
           {/* Voted confirmation */}
           {voted && (
             <p className="text-spotify-green text-sm">
               ✓ Thanks for voting!
+              {votedTrackName && ` You picked ${votedTrackName}.`}
             </p>
           )}
         </>
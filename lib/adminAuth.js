@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Admin authentication
+ * Guards curator-only API routes with a shared bearer token
+ *
+ * REQUIRES: ADMIN_TOKEN environment variable
+ * Clients send: Authorization: Bearer <ADMIN_TOKEN>
+ *
+ * Vercel cron jobs send Authorization: Bearer <CRON_SECRET>,
+ * which routes can opt into with { allowCron: true }.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Check whether a request carries one of the given bearer tokens
+ * @param {Object} req - Next.js request object
+ * @param {string[]} tokens - Accepted tokens (empty values are ignored)
+ * @returns {boolean} True if authorized
+ */
+function hasBearerToken(req, tokens) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer (.+)$/);
+  if (!match) return false;
+
+  return tokens
+    .filter(Boolean)
+    .some(token => safeEqual(match[1], token));
+}
+
+/**
+ * Ensure the request is from an admin, responding with an error if not
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ * @param {Object} options
+ * @param {boolean} options.allowCron - Also accept Vercel cron's CRON_SECRET
+ * @returns {boolean} True if the handler may continue
+ */
+function requireAdmin(req, res, { allowCron = false } = {}) {
+  const tokens = [process.env.ADMIN_TOKEN];
+  if (allowCron) tokens.push(process.env.CRON_SECRET);
+
+  if (!tokens.some(Boolean)) {
+    res.status(503).json({
+      error: 'Admin API not available',
+      message: 'ADMIN_TOKEN not configured',
+    });
+    return false;
+  }
+
+  if (!hasBearerToken(req, tokens)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  hasBearerToken,
+  requireAdmin,
+};
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Playlist data integrity report
+ * Checks every stored playlist and track against the track schema
+ *
+ * Errors (data that breaks stats):
+ * - Track fails schema (Spotify ID, name, artists, duration_ms, added_at)
+ * - Same track ID twice in one playlist
+ * - Same track ID in several playlists with conflicting metadata
+ * - Playlist without a name or tracks array
+ *
+ * Warnings (worth a look, stats still work):
+ * - Playlist ID that isn't a Spotify ID (e.g. unlinked rollover archive)
+ * - Empty playlist
+ * - added_at in the future
+ * - Pending track (bare link imported without details)
+ */
+
+const { getPlaylistStore } = require('./playlistStore');
+const { isSpotifyId, validateTrack } = require('./trackSchema');
+
+// Fields that must agree when a track appears in several playlists
+const SHARED_FIELDS = ['name', 'artists', 'duration_ms'];
+
+/**
+ * Compare the shared metadata of two copies of a track
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {string[]} Names of fields that differ
+ */
+function getConflictingFields(a, b) {
+  return SHARED_FIELDS.filter(field =>
+    JSON.stringify(a[field]) !== JSON.stringify(b[field])
+  );
+}
+
+/**
+ * Check a set of playlists
+ *
+ * @param {Object} playlists - Map of playlist ID → { name, tracks[] }
+ * @param {Object} options
+ * @param {Date} options.now - Reference time for future-date checks
+ * @returns {Object} { ok, summary, issues[] }
+ */
+function checkPlaylists(playlists, { now = new Date() } = {}) {
+  const issues = [];
+  let trackCount = 0;
+
+  // First copy of each track ID seen, with where it came from
+  const firstSeen = new Map();
+
+  const addIssue = (level, message, location = {}) => {
+    issues.push({ level, message, ...location });
+  };
+
+  Object.entries(playlists).forEach(([playlistId, playlist]) => {
+    if (!isSpotifyId(playlistId)) {
+      addIssue('warning', 'playlist ID is not a Spotify ID', { playlistId });
+    }
+
+    if (!playlist || typeof playlist.name !== 'string' || !playlist.name.trim()) {
+      addIssue('error', 'playlist name must be a non-empty string', { playlistId });
+    }
+
+    if (!playlist || !Array.isArray(playlist.tracks)) {
+      addIssue('error', 'playlist tracks must be an array', { playlistId });
+      return;
+    }
+
+    if (playlist.tracks.length === 0) {
+      addIssue('warning', 'playlist has no tracks', { playlistId });
+    }
+
+    (playlist.pending || []).forEach(entry => {
+      addIssue('warning', 'track is pending (needs name, artists and duration)', {
+        playlistId,
+        trackId: entry?.id,
+      });
+    });
+
+    const idsInPlaylist = new Set();
+
+    playlist.tracks.forEach((track, index) => {
+      trackCount++;
+      const trackId = track?.id;
+      const location = { playlistId, trackId, index };
+
+      validateTrack(track).forEach(message => addIssue('error', message, location));
+
+      if (track && Date.parse(track.added_at) > now.getTime()) {
+        addIssue('warning', 'added_at is in the future', location);
+      }
+
+      if (!trackId) return;
+
+      if (idsInPlaylist.has(trackId)) {
+        addIssue('error', 'duplicate track ID in playlist', location);
+        return;
+      }
+      idsInPlaylist.add(trackId);
+
+      const seen = firstSeen.get(trackId);
+      if (!seen) {
+        firstSeen.set(trackId, { playlistId, track });
+        return;
+      }
+
+      const conflicts = getConflictingFields(seen.track, track);
+      if (conflicts.length > 0) {
+        addIssue(
+          'error',
+          `conflicts with playlist ${seen.playlistId} on ${conflicts.join(', ')}`,
+          location
+        );
+      }
+    });
+  });
+
+  const errors = issues.filter(issue => issue.level === 'error').length;
+
+  return {
+    ok: errors === 0,
+    summary: {
+      playlists: Object.keys(playlists).length,
+      tracks: trackCount,
+      errors,
+      warnings: issues.length - errors,
+    },
+    issues,
+  };
+}
+
+/**
+ * Build an integrity report for the configured playlist store
+ * @returns {Promise<Object>} { ok, dataSource, checkedAt, summary, issues[] }
+ */
+async function buildIntegrityReport() {
+  const store = getPlaylistStore();
+  const playlists = await store.listPlaylists();
+
+  return {
+    dataSource: store.name,
+    checkedAt: new Date().toISOString(),
+    ...checkPlaylists(playlists),
+  };
+}
+
+module.exports = {
+  checkPlaylists,
+  buildIntegrityReport,
+};
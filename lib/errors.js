@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Shared error helpers
+ * Errors carrying an HTTP status that API routes pass straight through
+ */
+
+/**
+ * Create an error with an HTTP status for API routes to pass through
+ * @param {string} message
+ * @param {number} status
+ * @param {Object} extra - Additional fields (e.g. validation details)
+ * @returns {Error}
+ */
+function createDataError(message, status, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+module.exports = {
+  createDataError,
+};
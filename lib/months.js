@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Month and day keys
+ * The one place calendar months and days are worked out, so stats, votes,
+ * play counts and rollover all agree on when a month starts.
+ *
+ * Every key is a calendar date in STATS_TIME_ZONE (IANA name such as
+ * America/New_York, default UTC), never the server's local time - a vote
+ * or listen at 23:30 on Jan 31 in New York counts for January there,
+ * even though it's Feb 1 in UTC.
+ *
+ * Formats: month YYYY-MM, day YYYY-MM-DD
+ */
+
+// Time zone for calendar boundaries
+const DEFAULT_TIME_ZONE = 'UTC';
+
+/**
+ * Get the time zone used for month and day boundaries
+ * @returns {string} IANA time zone (STATS_TIME_ZONE, default UTC)
+ */
+function getStatsTimeZone() {
+  const timeZone = process.env.STATS_TIME_ZONE || DEFAULT_TIME_ZONE;
+
+  // Fall back to UTC for names Intl doesn't know
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch {
+    console.warn(`[Months] Unknown STATS_TIME_ZONE "${timeZone}", using UTC`);
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+/**
+ * Get the calendar date and time of a moment in a time zone
+ * @param {Date} moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second } as numbers
+ */
+function getZonedParts(moment, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(moment);
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+}
+
+/**
+ * Format a UTC date as a day key (calendar fields only)
+ * @param {Date} date
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+function formatDayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the month key for a moment
+ *
+ * @param {Date|string} date - Date or ISO string (defaults to now)
+ * @param {string} timeZone - IANA time zone (defaults to STATS_TIME_ZONE)
+ * @returns {string|null} Month key (YYYY-MM), or null for invalid dates
+ */
+function getMonthKey(date = new Date(), timeZone = getStatsTimeZone()) {
+  const day = getDayKey(date, timeZone);
+  return day ? day.slice(0, 7) : null;
+}
+
+/**
+ * Get the day key for a moment
+ *
+ * @param {Date|string} date - Date or ISO string (defaults to now)
+ * @param {string} timeZone - IANA time zone (defaults to STATS_TIME_ZONE)
+ * @returns {string|null} Day key (YYYY-MM-DD), or null for invalid dates
+ */
+function getDayKey(date = new Date(), timeZone = getStatsTimeZone()) {
+  const moment = new Date(date);
+  if (Number.isNaN(moment.getTime())) return null;
+
+  const { year, month, day } = getZonedParts(moment, timeZone);
+  return formatDayKey(new Date(Date.UTC(year, month - 1, day)));
+}
+
+/**
+ * Check whether a string is a valid month key (YYYY-MM)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isMonthKey(value) {
+  return typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+}
+
+/**
+ * Step a month key forwards or backwards
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {number} delta - Months to move (e.g. -1)
+ * @returns {string} Month key
+ */
+function shiftMonth(month, delta) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return formatDayKey(new Date(Date.UTC(year, monthNumber - 1 + delta, 1))).slice(0, 7);
+}
+
+/**
+ * Step a day key forwards or backwards
+ * @param {string} day - Day key (YYYY-MM-DD)
+ * @param {number} delta - Days to move (e.g. -1)
+ * @returns {string} Day key
+ */
+function shiftDay(day, delta) {
+  const [year, month, date] = day.split('-').map(Number);
+  return formatDayKey(new Date(Date.UTC(year, month - 1, date + delta)));
+}
+
+/**
+ * Get the month key for the month before a moment
+ *
+ * @param {Date} date - Defaults to now
+ * @returns {string} Month key (YYYY-MM)
+ */
+function getPreviousMonthKey(date = new Date()) {
+  return shiftMonth(getMonthKey(date), -1);
+}
+
+/**
+ * Get the number of days in a month
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {number} Days (28-31)
+ */
+function getDaysInMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  // Day 0 of the next month is the last day of this one
+  return new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+}
+
+/**
+ * Get the moment a day starts (midnight) in a time zone
+ *
+ * @param {string} day - Day key (YYYY-MM-DD)
+ * @param {string} timeZone - IANA time zone (defaults to STATS_TIME_ZONE)
+ * @returns {Date} Start of the day
+ */
+function getDayStart(day, timeZone = getStatsTimeZone()) {
+  const [year, month, date] = day.split('-').map(Number);
+  const target = Date.UTC(year, month - 1, date);
+
+  // Offset of the zone from UTC at a moment, in ms
+  const offsetAt = time => {
+    const parts = getZonedParts(new Date(time), timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+  };
+
+  // Guess with the offset at UTC midnight, then correct once for a DST change
+  const guess = target - offsetAt(target);
+  return new Date(target - offsetAt(guess));
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  getStatsTimeZone,
+  getMonthKey,
+  getDayKey,
+  isMonthKey,
+  shiftMonth,
+  shiftDay,
+  getPreviousMonthKey,
+  getDaysInMonth,
+  getDayStart,
+};
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Cache for oEmbed lookups
+ * Keeps oEmbed responses in Vercel KV, with an in-memory fallback
+ *
+ * Each entry is fresh for ttlMs. After that the next lookup refetches:
+ * - Success: the entry is replaced
+ * - Failure with an earlier response: that response is served as stale
+ *   (for up to staleMs past its freshness) and the failure is remembered
+ *   for negativeTtlMs, so a down oEmbed API isn't called on every request
+ * - Failure with nothing cached: the failure itself is cached for
+ *   negativeTtlMs (negative caching) and the error is rethrown
+ *
+ * Keys: oembed:<resource URL> (expire once neither fresh nor stale)
+ *
+ * Without KV (or if a KV call fails) entries are kept in memory instead,
+ * per server instance.
+ */
+
+const { kv } = require('@vercel/kv');
+
+// Defaults: titles and covers rarely change
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_STALE_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_NEGATIVE_TTL_MS = 5 * 60 * 1000;
+
+// Memory fallback: key → { entry, expiresAt }
+const memoryEntries = new Map();
+
+// Sweep expired memory entries once the map grows past this
+const MEMORY_SWEEP_SIZE = 1000;
+
+/**
+ * In-memory entry store (per server instance)
+ */
+const memoryStore = {
+  name: 'memory',
+
+  async get(key) {
+    const stored = memoryEntries.get(key);
+    return stored && stored.expiresAt > Date.now() ? stored.entry : null;
+  },
+
+  async set(key, entry, ttlMs) {
+    const now = Date.now();
+
+    if (memoryEntries.size > MEMORY_SWEEP_SIZE) {
+      memoryEntries.forEach((stored, k) => {
+        if (stored.expiresAt <= now) memoryEntries.delete(k);
+      });
+    }
+
+    memoryEntries.set(key, { entry, expiresAt: now + ttlMs });
+  },
+};
+
+/**
+ * Vercel KV entry store (shared across instances)
+ */
+const kvStore = {
+  name: 'kv',
+
+  async get(key) {
+    return (await kv.get(key)) || null;
+  },
+
+  async set(key, entry, ttlMs) {
+    await kv.set(key, entry, { px: Math.max(1, Math.round(ttlMs)) });
+  },
+};
+
+/**
+ * Pick the entry store - KV if configured
+ * @returns {Object} Store
+ */
+function getStore() {
+  return process.env.KV_REST_API_URL ? kvStore : memoryStore;
+}
+
+/**
+ * Create an oEmbed cache
+ *
+ * @param {Object} options
+ * @param {Function} options.fetcher - async (url) => data; throws on failure
+ * @param {Object} options.store - Entry store (defaults to KV or memory)
+ * @param {number} options.ttlMs - How long a response is fresh
+ * @param {number} options.staleMs - How long past that it may be served on errors
+ * @param {number} options.negativeTtlMs - How long a failure is remembered
+ * @param {Function} options.now - Clock (ms), defaults to Date.now
+ * @returns {Object} { get(url) → Promise<{ data, stale, error }> }
+ */
+function createOEmbedCache({
+  fetcher,
+  store,
+  ttlMs = DEFAULT_TTL_MS,
+  staleMs = DEFAULT_STALE_MS,
+  negativeTtlMs = DEFAULT_NEGATIVE_TTL_MS,
+  now = Date.now,
+}) {
+  // Lookups in progress, so concurrent requests share one fetch
+  const pending = new Map();
+
+  const resolveStore = () => store || getStore();
+
+  /**
+   * Read an entry, falling back to memory if KV fails
+   * @param {string} cacheKey
+   * @returns {Promise<Object|null>} Entry
+   */
+  async function readEntry(cacheKey) {
+    try {
+      return await resolveStore().get(cacheKey);
+    } catch (error) {
+      console.warn('[oEmbed Cache] KV unavailable, using memory:', error.message);
+      return memoryStore.get(cacheKey);
+    }
+  }
+
+  /**
+   * Write an entry, falling back to memory if KV fails
+   * @param {string} cacheKey
+   * @param {Object} entry
+   * @param {number} keepMs - How long the store should keep it
+   */
+  async function writeEntry(cacheKey, entry, keepMs) {
+    try {
+      await resolveStore().set(cacheKey, entry, keepMs);
+    } catch (error) {
+      console.warn('[oEmbed Cache] KV unavailable, using memory:', error.message);
+      await memoryStore.set(cacheKey, entry, keepMs);
+    }
+  }
+
+  /**
+   * Refetch and update the entry
+   * @param {string} url - Resource URL
+   * @param {Object|null} previous - Existing entry, if any
+   * @returns {Promise<Object>} { data, stale, error }
+   */
+  async function refresh(url, previous) {
+    const cacheKey = `oembed:${url}`;
+    const fetchedAt = now();
+
+    try {
+      const data = await fetcher(url);
+      await writeEntry(
+        cacheKey,
+        { data, fetchedAt, refreshAt: fetchedAt + ttlMs, error: null },
+        ttlMs + staleMs
+      );
+      return { data, stale: false, error: null };
+
+    } catch (error) {
+      const refreshAt = fetchedAt + negativeTtlMs;
+      const staleUntil = previous?.data ? previous.fetchedAt + ttlMs + staleMs : 0;
+
+      // Serve the last good response while it's within the stale window
+      if (staleUntil > fetchedAt) {
+        await writeEntry(
+          cacheKey,
+          { ...previous, refreshAt, error: error.message },
+          staleUntil - fetchedAt
+        );
+        return { data: previous.data, stale: true, error: error.message };
+      }
+
+      await writeEntry(
+        cacheKey,
+        { data: null, fetchedAt, refreshAt, error: error.message },
+        negativeTtlMs
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Get cached data for a resource, fetching if needed
+   * Throws if there's nothing to serve (fetch failed, or a cached failure)
+   *
+   * @param {string} url - Resource URL, e.g. a Spotify playlist link
+   * @returns {Promise<Object>} { data, stale, error }
+   */
+  async function get(url) {
+    const entry = await readEntry(`oembed:${url}`);
+
+    if (entry && entry.refreshAt > now()) {
+      if (entry.data) {
+        return { data: entry.data, stale: Boolean(entry.error), error: entry.error };
+      }
+      throw new Error(`${entry.error} (cached)`);
+    }
+
+    if (!pending.has(url)) {
+      pending.set(url, refresh(url, entry).finally(() => pending.delete(url)));
+    }
+    return pending.get(url);
+  }
+
+  return { get };
+}
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  DEFAULT_STALE_MS,
+  DEFAULT_NEGATIVE_TTL_MS,
+  memoryStore,
+  createOEmbedCache,
+};
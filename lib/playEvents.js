@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Embed play-event storage
+ * Records how the Spotify embed on our page is actually played
+ *
+ * Days and months are calendar dates in STATS_TIME_ZONE (see lib/months).
+ *
+ * Keys (per day, expire after EVENT_TTL_SECONDS):
+ * - events:YYYY-MM-DD          Raw events list (compact JSON, RPUSH)
+ * - events:YYYY-MM-DD:summary  Daily totals hash (HINCRBY):
+ *                              events, play, pause, progress, listenedMs
+ *
+ * Keys (per month, for the most-played leaderboard):
+ * - plays:YYYY-MM:listens      trackId → counted listens (HINCRBY)
+ * - plays:YYYY-MM:listenedMs   trackId → total time played (HINCRBY)
+ *
+ * A listen is counted once, by the report whose position first passes
+ * the listen threshold (LISTEN_THRESHOLD_MS, or half of shorter tracks).
+ * The position before a report is position - listenedMs, so this needs no
+ * per-session state; seeking past the threshold doesn't count.
+ *
+ * Positions come from the client, so listens are also limited to one per
+ * listener and track every LISTEN_DEDUPE_SECONDS:
+ * - plays:seen:<listener>:<trackId>  Set with NX, expires after that window
+ * and a batch only keeps MAX_EVENTS_PER_TRACK events for any one track.
+ *
+ * Event types (sent in batches by the embed, see components/SpotifyEmbed):
+ * - play:     playback started or moved to another track
+ * - progress: still playing; listenedMs since the last report
+ * - pause:    playback paused; listenedMs since the last report
+ *
+ * REQUIRES: @vercel/kv configured in Vercel project settings
+ */
+
+const { kv: defaultKv } = require('@vercel/kv');
+const { isSpotifyId } = require('./trackSchema');
+const { getMonthKey, getDayKey, shiftDay } = require('./months');
+
+const EVENT_TYPES = ['play', 'progress', 'pause'];
+
+// Most events accepted per request
+const MAX_BATCH_SIZE = 50;
+
+// Most events kept per track in one batch (~2.5 minutes of reports)
+const MAX_EVENTS_PER_TRACK = 10;
+
+// One counted listen per listener and track in this window
+const LISTEN_DEDUPE_SECONDS = 30 * 60;
+
+// Clients report every ~15s, so larger listened chunks are bogus
+const MAX_LISTENED_MS = 60 * 1000;
+
+// Longest position/duration accepted (3 hours)
+const MAX_TRACK_MS = 3 * 60 * 60 * 1000;
+
+// Keep raw events and daily totals for 90 days
+const EVENT_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Keep monthly play totals for about a year
+const PLAYS_TTL_SECONDS = 400 * 24 * 60 * 60;
+
+// Position a track must reach to count as listened to
+const LISTEN_THRESHOLD_MS = 30 * 1000;
+
+// KV client (overridable, e.g. with an in-memory stand-in in tests)
+let kv = defaultKv;
+
+/**
+ * Override the KV client
+ * @param {Object|null} client - Client to use, or null to reset to @vercel/kv
+ */
+function setKvClient(client) {
+  kv = client || defaultKv;
+}
+
+/**
+ * Clamp a millisecond value into range
+ * @param {*} value
+ * @param {number} max
+ * @returns {number} Whole milliseconds between 0 and max
+ */
+function clampMs(value, max) {
+  const ms = Math.round(Number(value));
+  if (!Number.isFinite(ms) || ms < 0) return 0;
+  return Math.min(ms, max);
+}
+
+/**
+ * Validate and normalize one client event
+ *
+ * @param {Object} event - Raw event from the request body
+ * @returns {Object|null} Normalized event, or null if invalid
+ */
+function normalizeEvent(event) {
+  if (!event || !EVENT_TYPES.includes(event.type)) return null;
+
+  return {
+    type: event.type,
+    trackId: isSpotifyId(event.trackId) ? event.trackId : null,
+    playlistId: isSpotifyId(event.playlistId) ? event.playlistId : null,
+    position: clampMs(event.position, MAX_TRACK_MS),
+    duration: clampMs(event.duration, MAX_TRACK_MS),
+    listenedMs: event.type === 'play' ? 0 : clampMs(event.listenedMs, MAX_LISTENED_MS),
+  };
+}
+
+/**
+ * Check whether an event's report pushed its track past the listen threshold
+ *
+ * @param {Object} event - Normalized event
+ * @returns {boolean} True if this event completes a listen
+ */
+function countsAsListen(event) {
+  if (event.type === 'play' || !event.trackId) return false;
+
+  const threshold = event.duration > 0
+    ? Math.min(LISTEN_THRESHOLD_MS, event.duration / 2)
+    : LISTEN_THRESHOLD_MS;
+
+  return event.position >= threshold && event.position - event.listenedMs < threshold;
+}
+
+/**
+ * Store a batch of events under the day they arrived
+ * Events past MAX_EVENTS_PER_TRACK for a track are dropped.
+ *
+ * @param {Object[]} allEvents - Normalized events
+ * @param {Object} options
+ * @param {string} options.listener - Hashed listener fingerprint (for listen dedupe)
+ * @param {Date} options.now - Receive time (defaults to now)
+ * @returns {Promise<Object>} { day, stored }
+ */
+async function recordPlayEvents(allEvents, { listener, now = new Date() } = {}) {
+  const day = getDayKey(now);
+  const listKey = `events:${day}`;
+  const summaryKey = `events:${day}:summary`;
+  const month = getMonthKey(now);
+  const listensKey = `plays:${month}:listens`;
+  const listenedKey = `plays:${month}:listenedMs`;
+  const receivedAt = now.getTime();
+
+  const perTrack = {};
+  const events = allEvents.filter(event => {
+    if (!event.trackId) return true;
+    perTrack[event.trackId] = (perTrack[event.trackId] || 0) + 1;
+    return perTrack[event.trackId] <= MAX_EVENTS_PER_TRACK;
+  });
+
+  if (events.length === 0) {
+    return { day, stored: 0 };
+  }
+
+  // Totals for this batch, one HINCRBY per field
+  const totals = { events: events.length, listenedMs: 0 };
+  events.forEach(event => {
+    totals[event.type] = (totals[event.type] || 0) + 1;
+    totals.listenedMs += event.listenedMs;
+  });
+
+  // Per-track totals for the month
+  const candidates = new Set();
+  const listened = {};
+  events.filter(event => event.trackId).forEach(event => {
+    if (countsAsListen(event)) {
+      candidates.add(event.trackId);
+    }
+    if (event.listenedMs > 0) {
+      listened[event.trackId] = (listened[event.trackId] || 0) + event.listenedMs;
+    }
+  });
+
+  // At most one listen per listener and track in the dedupe window
+  const claimed = await Promise.all([...candidates].map(trackId =>
+    kv.set(`plays:seen:${listener || 'anonymous'}:${trackId}`, 1, {
+      nx: true,
+      ex: LISTEN_DEDUPE_SECONDS,
+    })
+  ));
+  const listens = {};
+  [...candidates].forEach((trackId, index) => {
+    if (claimed[index]) listens[trackId] = 1;
+  });
+
+  await Promise.all([
+    kv.rpush(listKey, ...events.map(event => JSON.stringify({ ...event, receivedAt }))),
+    ...Object.entries(totals)
+      .filter(([, amount]) => amount > 0)
+      .map(([field, amount]) => kv.hincrby(summaryKey, field, amount)),
+    ...Object.entries(listens)
+      .map(([trackId, amount]) => kv.hincrby(listensKey, trackId, amount)),
+    ...Object.entries(listened)
+      .map(([trackId, amount]) => kv.hincrby(listenedKey, trackId, amount)),
+  ]);
+
+  await Promise.all([
+    kv.expire(listKey, EVENT_TTL_SECONDS),
+    kv.expire(summaryKey, EVENT_TTL_SECONDS),
+    kv.expire(listensKey, PLAYS_TTL_SECONDS),
+    kv.expire(listenedKey, PLAYS_TTL_SECONDS),
+  ]);
+
+  return { day, stored: events.length };
+}
+
+/**
+ * Get daily play totals, newest day first
+ *
+ * @param {number} days - How many days back to include (today counts)
+ * @param {Date} now - Defaults to now
+ * @returns {Promise<Object[]>} [{ day, events, plays, pauses, listenedMs }]
+ */
+async function getDailySummaries(days = 7, now = new Date()) {
+  const today = getDayKey(now);
+  const dayKeys = Array.from({ length: days }, (_, offset) => shiftDay(today, -offset));
+
+  const summaries = await Promise.all(
+    dayKeys.map(day => kv.hgetall(`events:${day}:summary`))
+  );
+
+  return dayKeys.map((day, index) => {
+    const summary = summaries[index] || {};
+    return {
+      day,
+      events: Number(summary.events) || 0,
+      plays: Number(summary.play) || 0,
+      pauses: Number(summary.pause) || 0,
+      listenedMs: Number(summary.listenedMs) || 0,
+    };
+  });
+}
+
+/**
+ * Get a month's most-played tracks
+ *
+ * @param {string} month - Month key (YYYY-MM, defaults to current)
+ * @param {number} limit - Max tracks
+ * @returns {Promise<Object[]>} [{ trackId, plays, listenedMs }], most listens first
+ */
+async function getMostPlayed(month = getMonthKey(), limit = 10) {
+  const [listens, listened] = await Promise.all([
+    kv.hgetall(`plays:${month}:listens`),
+    kv.hgetall(`plays:${month}:listenedMs`),
+  ]);
+
+  return Object.entries(listens || {})
+    .map(([trackId, plays]) => ({
+      trackId,
+      plays: Number(plays) || 0,
+      listenedMs: Number(listened?.[trackId]) || 0,
+    }))
+    .filter(entry => entry.plays > 0)
+    .sort((a, b) => b.plays - a.plays || b.listenedMs - a.listenedMs)
+    .slice(0, limit);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_BATCH_SIZE,
+  MAX_EVENTS_PER_TRACK,
+  LISTEN_THRESHOLD_MS,
+  normalizeEvent,
+  countsAsListen,
+  recordPlayEvents,
+  getDailySummaries,
+  getMostPlayed,
+  setKvClient,
+};
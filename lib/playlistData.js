@@ -1,16 +1,34 @@
 /**
- * @fileoverview Hardcoded playlist data
- * Since Spotify API keys are unavailable, track data is manually maintained here.
+ * @fileoverview Playlist data access
+ * Since Spotify API keys are unavailable, track data is manually maintained
+ * in a playlist store (see lib/playlistStore.js).
  * 
  * HOW TO UPDATE:
  * 1. Open the playlist in Spotify
  * 2. Add/update track entries with: id, name, artists[], duration_ms, added_at
- * 3. Redeploy to Vercel
+ *    - JSON store (default): edit data/playlists.json and redeploy
+ *    - KV store (PLAYLIST_STORE=kv): write to KV, no redeploy needed
+ * 
+ * Bulk updates: paste share links or a CSV export (e.g. Exportify) into
+ * /admin/import — IDs and durations are parsed for you (lib/trackImport.js).
+ * 
+ * MONTHS:
+ * "Added this month" uses each track's added_at, in the STATS_TIME_ZONE
+ * time zone (IANA name, default UTC) - a track added 23:30 on Jan 31 in
+ * New York counts for January there, even though it's Feb 1 in UTC.
+ * Month keys come from lib/months, like votes and play counts.
  * 
  * PLAYLIST IDs:
  * - Main: 7cpyeFEc4C2DXR1C1oQO58
  */
 
+const { getPlaylistStore } = require('./playlistStore');
+const { isSpotifyId, validateTrack, normalizeTrack } = require('./trackSchema');
+const { createDataError } = require('./errors');
+const { getMostPlayed } = require('./playEvents');
+const { getStatsTimeZone, getMonthKey, isMonthKey } = require('./months');
+const { getPlaylistEmbed, getMultiplePlaylistEmbeds } = require('./spotifyEmbed');
+
 // Main playlist ID (the one that gains followers)
 const MAIN_PLAYLIST_ID = '7cpyeFEc4C2DXR1C1oQO58';
 
@@ -22,104 +40,50 @@ const ALL_PLAYLIST_IDS = [
   // 'historical_feb_2026_id',
 ];
 
-/**
- * Main playlist track data
- * Update this manually when tracks are added/removed
- * 
- * To get track info from Spotify web player:
- * 1. Right-click track → Share → Copy Song Link → extract ID from URL
- * 2. Track name and artists from display
- * 3. Duration from player (convert to ms: minutes*60000 + seconds*1000)
- */
-const mainPlaylistTracks = [
-  // Example tracks - REPLACE with actual playlist content
-  {
-    id: 'track1',
-    name: 'Sample Track 1',
-    artists: ['Artist A', 'Artist B'],
-    duration_ms: 210000, // 3:30
-    added_at: '2026-02-01T12:00:00Z',
-  },
-  {
-    id: 'track2',
-    name: 'Sample Track 2',
-    artists: ['Artist C'],
-    duration_ms: 185000, // 3:05
-    added_at: '2026-02-01T14:30:00Z',
-  },
-  {
-    id: 'track3',
-    name: 'Sample Track 3',
-    artists: ['Artist A'],
-    duration_ms: 245000, // 4:05
-    added_at: '2026-01-28T09:15:00Z',
-  },
-  {
-    id: 'track4',
-    name: 'Sample Track 4',
-    artists: ['Artist D', 'Artist E'],
-    duration_ms: 198000, // 3:18
-    added_at: '2026-01-25T18:45:00Z',
-  },
-  {
-    id: 'track5',
-    name: 'Sample Track 5',
-    artists: ['Artist B'],
-    duration_ms: 267000, // 4:27
-    added_at: '2026-01-22T21:00:00Z',
-  },
-];
-
-/**
- * Historical playlist data
- * Key: playlist ID, Value: { name, tracks[] }
- */
-const historicalPlaylists = {
-  // Example - add real historical playlists here
-  // 'historical_jan_2026_id': {
-  //   name: 'Digital Diggaz January 2026',
-  //   tracks: [
-  //     { id: 'old1', name: 'Old Track', artists: ['Artist X'], duration_ms: 200000, added_at: '2026-01-15T10:00:00Z' },
-  //   ],
-  // },
-};
-
 /**
  * Manual follower count (update periodically)
  * Since we can't fetch this without API
  */
 const MANUAL_FOLLOWER_COUNT = null; // Set to a number if you want to display it
 
+/**
+ * Get historical playlists (every stored playlist except main)
+ * @returns {Promise<Object>} Map of playlist ID → { name, tracks[] }
+ */
+async function getHistoricalPlaylists() {
+  const playlists = await getPlaylistStore().listPlaylists();
+  const historical = { ...playlists };
+  delete historical[MAIN_PLAYLIST_ID];
+  return historical;
+}
+
 /**
  * Get all tracks from main playlist
- * @returns {Object[]} Array of track objects
+ * @returns {Promise<Object[]>} Array of track objects
  */
-function getMainPlaylistTracks() {
-  return mainPlaylistTracks;
+async function getMainPlaylistTracks() {
+  return getPlaylistTracks(MAIN_PLAYLIST_ID);
 }
 
 /**
  * Get tracks from a specific playlist
  * @param {string} playlistId 
- * @returns {Object[]} Array of track objects
+ * @returns {Promise<Object[]>} Array of track objects
  */
-function getPlaylistTracks(playlistId) {
-  if (playlistId === MAIN_PLAYLIST_ID) {
-    return mainPlaylistTracks;
-  }
-  
-  const historical = historicalPlaylists[playlistId];
-  return historical ? historical.tracks : [];
+async function getPlaylistTracks(playlistId) {
+  const playlist = await getPlaylistStore().getPlaylist(playlistId);
+  return playlist ? playlist.tracks || [] : [];
 }
 
 /**
  * Get all unique tracks across all playlists
- * @returns {Object[]} Deduplicated array of tracks
+ * @returns {Promise<Object[]>} Deduplicated array of tracks
  */
-function getAllUniqueTracks() {
-  const allTracks = [...mainPlaylistTracks];
+async function getAllUniqueTracks() {
+  const allTracks = [...await getMainPlaylistTracks()];
   
   // Add historical tracks
+  const historicalPlaylists = await getHistoricalPlaylists();
   Object.values(historicalPlaylists).forEach(playlist => {
     allTracks.push(...playlist.tracks);
   });
@@ -148,74 +112,302 @@ function calculateTotalDuration(tracks) {
  * Get top artists by track count
  * @param {Object[]} tracks 
  * @param {number} limit 
- * @returns {Object[]} Array of { name, count }
+ * @returns {Object[]} Array of { name, count, trackId }
+ *   trackId is the artist's most recently added track (for previews)
  */
 function getTopArtists(tracks, limit = 10) {
   const artistCounts = {};
+  const latestTracks = {};
   
   tracks.forEach(track => {
     (track.artists || []).forEach(artist => {
       artistCounts[artist] = (artistCounts[artist] || 0) + 1;
+
+      const latest = latestTracks[artist];
+      if (!latest || (track.added_at || '') > (latest.added_at || '')) {
+        latestTracks[artist] = track;
+      }
     });
   });
   
   return Object.entries(artistCounts)
     .sort((a, b) => b[1] - a[1])
     .slice(0, limit)
-    .map(([name, count]) => ({ name, count }));
+    .map(([name, count]) => ({ name, count, trackId: latestTracks[name].id }));
 }
 
 /**
- * Get new tracks (in main but not in historical)
+ * Get tracks added in a calendar month, newest first
+ * Searches every playlist, so past months still work after rollover
+ * @param {string} month - Month key (YYYY-MM, defaults to the current month)
  * @param {number} limit 
- * @returns {Object[]} Array of new tracks
+ * @returns {Promise<Object[]>} Array of tracks
  */
-function getNewTracks(limit = 5) {
-  // Collect all historical track IDs
-  const historicalIds = new Set();
-  Object.values(historicalPlaylists).forEach(playlist => {
-    playlist.tracks.forEach(track => historicalIds.add(track.id));
+async function getTracksAddedInMonth(month = getMonthKey(), limit = Infinity) {
+  const timeZone = getStatsTimeZone();
+  const tracks = await getAllUniqueTracks();
+
+  return tracks
+    .filter(track => getMonthKey(track.added_at, timeZone) === month)
+    .sort((a, b) => new Date(b.added_at) - new Date(a.added_at))
+    .slice(0, limit);
+}
+
+/**
+ * Get the month a playlist covers, for ordering playlists
+ * Archives store it; otherwise the month of the latest added track
+ * @param {Object} playlist - { month, tracks[] }
+ * @returns {string} Month key (YYYY-MM), or '' if unknown
+ */
+function getPlaylistMonth(playlist) {
+  if (playlist.month) return playlist.month;
+
+  const latest = (playlist.tracks || [])
+    .map(track => track.added_at || '')
+    .sort()
+    .pop();
+
+  return (latest && getMonthKey(latest)) || '';
+}
+
+/**
+ * Get new tracks - in a playlist but not in any earlier one
+ * For main that's every historical playlist (not yet archived); for a
+ * historical playlist, those covering an earlier month.
+ * For tracks added in a calendar month, see getTracksAddedInMonth
+ * @param {number} limit 
+ * @param {string} playlistId - Defaults to main
+ * @returns {Promise<Object[]>} Array of new tracks
+ */
+async function getNewTracks(limit = 5, playlistId = MAIN_PLAYLIST_ID) {
+  const playlists = await getPlaylistStore().listPlaylists();
+  const playlist = playlists[playlistId];
+  if (!playlist) return [];
+
+  const month = getPlaylistMonth(playlist);
+  const earlier = Object.entries(playlists)
+    .filter(([id]) => id !== playlistId && id !== MAIN_PLAYLIST_ID)
+    .filter(([, other]) => playlistId === MAIN_PLAYLIST_ID || getPlaylistMonth(other) < month)
+    .map(([, other]) => other);
+
+  // Collect all earlier track IDs
+  const earlierIds = new Set();
+  earlier.forEach(other => {
+    (other.tracks || []).forEach(track => earlierIds.add(track.id));
   });
   
-  // Find tracks in main that aren't in historical
-  return mainPlaylistTracks
-    .filter(track => !historicalIds.has(track.id))
+  // Find tracks that aren't in earlier playlists
+  return (playlist.tracks || [])
+    .filter(track => !earlierIds.has(track.id))
     .sort((a, b) => new Date(b.added_at) - new Date(a.added_at))
     .slice(0, limit);
 }
 
+/**
+ * Get tracks eligible for Track of the Month
+ * New tracks first, then the rest of the main playlist
+ * @param {number} limit 
+ * @returns {Promise<Object[]>} Array of track objects
+ */
+async function getVotableTracks(limit = 10) {
+  const [newTracks, mainTracks] = await Promise.all([
+    getNewTracks(),
+    getMainPlaylistTracks(),
+  ]);
+
+  const seen = new Set();
+  return [...newTracks, ...mainTracks]
+    .filter(track => {
+      if (seen.has(track.id)) return false;
+      seen.add(track.id);
+      return true;
+    })
+    .slice(0, limit);
+}
+
 /**
  * Get historical playlists info
- * @returns {Object[]} Array of { id, name, trackCount }
+ * @returns {Promise<Object[]>} Array of { id, name, month, trackCount, url, statsPath }
  */
-function getHistoricalPlaylistsInfo() {
+async function getHistoricalPlaylistsInfo() {
+  const historicalPlaylists = await getHistoricalPlaylists();
   return Object.entries(historicalPlaylists).map(([id, data]) => ({
     id,
     name: data.name,
+    month: getPlaylistMonth(data) || null,
     trackCount: data.tracks.length,
-    url: `https://open.spotify.com/playlist/${id}`,
+    durationMs: calculateTotalDuration(data.tracks),
+    topArtist: getTopArtists(data.tracks, 1)[0]?.name || null,
+    // Stored cover, used when oEmbed has none
+    coverImage: data.coverImage || null,
+    // Archives created by rollover have no Spotify playlist until linked
+    url: isSpotifyId(id) ? `https://open.spotify.com/playlist/${id}` : null,
+    // Stats page on this site
+    statsPath: `/playlist/${encodeURIComponent(id)}`,
   }));
 }
 
+/**
+ * Get the display name for a playlist
+ * @param {string} playlistId
+ * @param {Object} playlist - Stored playlist ({ name })
+ * @returns {string} Name
+ */
+function getPlaylistName(playlistId, playlist) {
+  if (playlistId === MAIN_PLAYLIST_ID) return 'Digital Diggaz';
+  return playlist?.name || playlistId;
+}
+
+/**
+ * Build the playlist block (name, links, embed, tracks for the player)
+ * @param {string} playlistId
+ * @param {string} name
+ * @param {Object[]} tracks
+ * @param {string|null} coverImage - Stored cover (oEmbed's replaces it when available)
+ * @returns {Object} { id, name, coverImage, url, embedUrl, tracks }
+ */
+function buildPlaylistInfo(playlistId, name, tracks, coverImage = null) {
+  // Archives created by rollover have no Spotify playlist until linked
+  const onSpotify = isSpotifyId(playlistId);
+
+  return {
+    id: playlistId,
+    name,
+    coverImage,
+    url: onSpotify ? `https://open.spotify.com/playlist/${playlistId}` : null,
+    embedUrl: onSpotify
+      ? `https://open.spotify.com/embed/playlist/${playlistId}?utm_source=generator&theme=0`
+      : null,
+    // Lets the embed tell which track is playing
+    tracks: tracks.map(t => ({
+      id: t.id,
+      name: t.name,
+      artists: t.artists,
+      durationMs: t.duration_ms,
+    })),
+  };
+}
+
+/**
+ * Format new tracks for the API response
+ * @param {Object[]} tracks
+ * @returns {Object[]} Array of { id, name, artists, addedAt }
+ */
+function formatNewTracks(tracks) {
+  return tracks.map(t => ({
+    id: t.id,
+    name: t.name,
+    artists: t.artists,
+    addedAt: t.added_at,
+  }));
+}
+
+/**
+ * Build stats for any known playlist
+ * Same totals / top artists / new tracks / embed block as the main page
+ * @param {string} playlistId - Stored playlist, or one in ALL_PLAYLIST_IDS
+ * @returns {Promise<Object>} { playlist, total, current, topArtists, newTracks, fetchedAt }
+ */
+async function buildPlaylistStats(playlistId) {
+  const stored = await getPlaylistStore().getPlaylist(playlistId);
+
+  // Listed playlists without track data yet still get the embed
+  const playlist = stored || (ALL_PLAYLIST_IDS.includes(playlistId) ? { tracks: [] } : null);
+  if (!playlist) {
+    throw createDataError(`Playlist not found: ${playlistId}`, 404);
+  }
+
+  const tracks = playlist.tracks || [];
+  const [allUnique, newTracks] = await Promise.all([
+    getAllUniqueTracks(),
+    getNewTracks(5, playlistId),
+  ]);
+
+  return {
+    isHardcodedData: true,
+    dataSource: getPlaylistStore().name,
+
+    playlist: {
+      ...buildPlaylistInfo(
+        playlistId,
+        getPlaylistName(playlistId, playlist),
+        tracks,
+        playlist.coverImage || null
+      ),
+      // Main is always the current month
+      month: playlistId === MAIN_PLAYLIST_ID ? null : getPlaylistMonth(playlist) || null,
+      isMain: playlistId === MAIN_PLAYLIST_ID,
+    },
+
+    // Total stats (all unique tracks, every playlist)
+    total: {
+      tracks: allUnique.length,
+      durationMs: calculateTotalDuration(allUnique),
+    },
+
+    // This playlist's stats
+    current: {
+      tracks: tracks.length,
+      durationMs: calculateTotalDuration(tracks),
+    },
+
+    // Top artists in this playlist
+    topArtists: getTopArtists(tracks),
+
+    // Tracks first added in this playlist
+    newTracks: formatNewTracks(newTracks),
+
+    fetchedAt: new Date().toISOString(),
+  };
+}
+
 /**
  * Build complete stats object for API response
- * @returns {Object} Stats matching API response format
+ * @param {Object} options
+ * @param {string} options.month - Month for new tracks (YYYY-MM, defaults to current)
+ * @returns {Promise<Object>} Stats matching API response format
  */
-function buildStatsFromData() {
-  const allUnique = getAllUniqueTracks();
-  const mainTracks = getMainPlaylistTracks();
+async function buildStatsFromData({ month } = {}) {
+  const statsMonth = month || getMonthKey();
+
+  if (!isMonthKey(statsMonth)) {
+    throw createDataError('month must be in YYYY-MM format', 400);
+  }
+
+  const [allUnique, mainPlaylist, addedTracks, votableTracks, otherPlaylists, mostPlayed] = await Promise.all([
+    getAllUniqueTracks(),
+    getPlaylistStore().getPlaylist(MAIN_PLAYLIST_ID),
+    getTracksAddedInMonth(statsMonth),
+    getVotableTracks(),
+    getHistoricalPlaylistsInfo(),
+    // Play counts live in KV - the rest of the stats work without it
+    getMostPlayed().catch(error => {
+      console.warn('[Stats] Most played unavailable:', error.message);
+      return [];
+    }),
+  ]);
+
+  const mainTracks = mainPlaylist?.tracks || [];
+  const tracksById = new Map(allUnique.map(t => [t.id, t]));
   
   return {
     // Flag indicating data source
     isHardcodedData: true,
+    dataSource: getPlaylistStore().name,
+
+    // Calendar month for "new" tracks
+    month: statsMonth,
+    timeZone: getStatsTimeZone(),
     
     // Main playlist info
     main: {
-      id: MAIN_PLAYLIST_ID,
-      name: 'Digital Diggaz',
-      url: `https://open.spotify.com/playlist/${MAIN_PLAYLIST_ID}`,
+      ...buildPlaylistInfo(
+        MAIN_PLAYLIST_ID,
+        getPlaylistName(MAIN_PLAYLIST_ID, mainPlaylist),
+        mainTracks,
+        mainPlaylist?.coverImage || null
+      ),
       followers: MANUAL_FOLLOWER_COUNT,
-      embedUrl: `https://open.spotify.com/embed/playlist/${MAIN_PLAYLIST_ID}?utm_source=generator&theme=0`,
     },
     
     // Total stats (all unique tracks)
@@ -229,23 +421,35 @@ function buildStatsFromData() {
       tracks: mainTracks.length,
       durationMs: calculateTotalDuration(mainTracks),
     },
+
+    // Tracks added during the month
+    added: {
+      tracks: addedTracks.length,
+      durationMs: calculateTotalDuration(addedTracks),
+    },
     
     // Top artists
     topArtists: getTopArtists(allUnique),
+
+    // Most played in the embed this month (tracks in playlist data only)
+    mostPlayed: mostPlayed
+      .filter(entry => tracksById.has(entry.trackId))
+      .map(entry => ({
+        id: entry.trackId,
+        name: tracksById.get(entry.trackId).name,
+        artists: tracksById.get(entry.trackId).artists,
+        plays: entry.plays,
+        listenedMs: entry.listenedMs,
+      })),
     
-    // New tracks
-    newTracks: getNewTracks().map(t => ({
-      id: t.id,
-      name: t.name,
-      artists: t.artists,
-      addedAt: t.added_at,
-    })),
+    // Tracks added during the month (5 newest)
+    newTracks: formatNewTracks(addedTracks.slice(0, 5)),
     
     // Historical playlists
-    otherPlaylists: getHistoricalPlaylistsInfo(),
+    otherPlaylists,
     
-    // Votable tracks (from main playlist)
-    votableTracks: mainTracks.slice(0, 10).map(t => ({
+    // Votable tracks (only these are accepted by /api/vote)
+    votableTracks: votableTracks.map(t => ({
       id: t.id,
       name: t.name,
       artists: t.artists,
@@ -256,15 +460,271 @@ function buildStatsFromData() {
   };
 }
 
+/**
+ * Add oEmbed covers and titles to historical playlists
+ * Only playlists on Spotify (with a url) are looked up
+ * @param {Object[]} playlists - From getHistoricalPlaylistsInfo (updated in place)
+ */
+async function addPlaylistCovers(playlists) {
+  const onSpotify = playlists.filter(playlist => playlist.url);
+  const embeds = await getMultiplePlaylistEmbeds(onSpotify.map(playlist => playlist.id));
+
+  onSpotify.forEach((playlist, index) => {
+    const embedData = embeds[index];
+    if (embedData.thumbnail) {
+      playlist.coverImage = embedData.thumbnail;
+    }
+    if (embedData.title) {
+      playlist.name = embedData.title;
+    }
+  });
+}
+
+/**
+ * Build stats plus covers and titles from oEmbed (main + historical)
+ * Shared by /api/stats and the statically rendered home page
+ * @param {Object} options - Passed to buildStatsFromData
+ * @returns {Promise<Object>} Stats matching API response format
+ */
+async function buildStatsWithEmbed(options = {}) {
+  const stats = await buildStatsFromData(options);
+
+  // Fetch cover images via oEmbed (public, no auth needed, cached)
+  // Lookups never throw - failures keep the stored names and covers
+  const [embedData] = await Promise.all([
+    getPlaylistEmbed(MAIN_PLAYLIST_ID),
+    addPlaylistCovers(stats.otherPlaylists),
+  ]);
+
+  if (embedData.thumbnail) {
+    stats.main.coverImage = embedData.thumbnail;
+  }
+  if (embedData.title) {
+    stats.main.name = embedData.title;
+  }
+
+  return stats;
+}
+
+/**
+ * Get every playlist ID tracks may be attached to
+ * (ALL_PLAYLIST_IDS plus any playlist already in the store)
+ * @returns {Promise<string[]>} Playlist IDs
+ */
+async function getKnownPlaylistIds() {
+  const playlists = await getPlaylistStore().listPlaylists();
+  return Array.from(new Set([...ALL_PLAYLIST_IDS, ...Object.keys(playlists)]));
+}
+
+/**
+ * Load a playlist for editing, creating an empty one if needed
+ * @param {string} playlistId
+ * @returns {Promise<Object>} { name, tracks[] }
+ */
+async function loadEditablePlaylist(playlistId) {
+  const knownIds = await getKnownPlaylistIds();
+  if (!knownIds.includes(playlistId)) {
+    throw createDataError(`Unknown playlist: ${playlistId}`, 404);
+  }
+
+  const playlist = await getPlaylistStore().getPlaylist(playlistId);
+  return {
+    ...playlist,
+    name: playlist?.name || (playlistId === MAIN_PLAYLIST_ID ? 'Digital Diggaz' : playlistId),
+    tracks: [...(playlist?.tracks || [])],
+  };
+}
+
+/**
+ * Drop pending entries for tracks the playlist now has with details
+ * @param {Object} playlist - Editable playlist (updated in place)
+ */
+function clearCompletedPending(playlist) {
+  if (!playlist.pending) return;
+
+  const ids = new Set(playlist.tracks.map(t => t.id));
+  playlist.pending = playlist.pending.filter(entry => !ids.has(entry.id));
+
+  if (playlist.pending.length === 0) {
+    delete playlist.pending;
+  }
+}
+
+/**
+ * Add a track to a playlist
+ * @param {string} playlistId
+ * @param {Object} track - { id, name, artists[], duration_ms, added_at }
+ * @returns {Promise<Object>} The stored track
+ */
+async function addTrack(playlistId, track) {
+  const errors = validateTrack(track);
+  if (errors.length > 0) {
+    throw createDataError('Invalid track', 400, { details: errors });
+  }
+
+  const playlist = await loadEditablePlaylist(playlistId);
+  const normalized = normalizeTrack(track);
+
+  if (playlist.tracks.some(t => t.id === normalized.id)) {
+    throw createDataError(`Track ${normalized.id} already in playlist`, 409);
+  }
+
+  playlist.tracks.push(normalized);
+  clearCompletedPending(playlist);
+  await getPlaylistStore().savePlaylist(playlistId, playlist);
+
+  return normalized;
+}
+
+/**
+ * Add several already-validated tracks to a playlist in one write
+ * Tracks whose ID is already present (or repeated in the batch) are skipped
+ *
+ * Links are tracks known only by ID (bare links from an import). A link to
+ * a track stored in any playlist is added with that track's details; the
+ * rest go on the playlist's `pending` list, flagged for completion and not
+ * counted in stats, until the track is added with its details.
+ *
+ * @param {string} playlistId
+ * @param {Object[]} tracks - Normalized track objects
+ * @param {Object} options
+ * @param {Object[]} options.links - [{ id, added_at }]
+ * @param {boolean} options.dryRun - Report only, don't save
+ * @returns {Promise<Object>} { added[], pending[], duplicates[] } (links in pending/duplicates as given)
+ */
+async function addTracks(playlistId, tracks, { links = [], dryRun = false } = {}) {
+  const [playlist, knownTracks] = await Promise.all([
+    loadEditablePlaylist(playlistId),
+    links.length > 0 ? getAllUniqueTracks() : [],
+  ]);
+  const knownById = new Map(knownTracks.map(t => [t.id, t]));
+  const existingIds = new Set(playlist.tracks.map(t => t.id));
+  const pendingIds = new Set((playlist.pending || []).map(entry => entry.id));
+
+  const added = [];
+  const pending = [];
+  const duplicates = [];
+
+  tracks.forEach(track => {
+    if (existingIds.has(track.id)) {
+      duplicates.push(track);
+    } else {
+      existingIds.add(track.id);
+      added.push(track);
+    }
+  });
+
+  links.forEach(link => {
+    const known = knownById.get(link.id);
+
+    if (existingIds.has(link.id) || (!known && pendingIds.has(link.id))) {
+      duplicates.push(link);
+    } else if (known) {
+      existingIds.add(link.id);
+      added.push({ ...normalizeTrack(known), added_at: link.added_at });
+    } else {
+      pendingIds.add(link.id);
+      pending.push(link);
+    }
+  });
+
+  if (!dryRun && (added.length > 0 || pending.length > 0)) {
+    playlist.tracks.push(...added);
+    playlist.pending = [
+      ...(playlist.pending || []),
+      ...pending.map(link => ({ id: link.id, added_at: link.added_at })),
+    ];
+    clearCompletedPending(playlist);
+    await getPlaylistStore().savePlaylist(playlistId, playlist);
+  }
+
+  return { added, pending, duplicates };
+}
+
+/**
+ * Update fields of a track in a playlist
+ * @param {string} playlistId
+ * @param {string} trackId
+ * @param {Object} updates - Partial track fields (id cannot change)
+ * @returns {Promise<Object>} The updated track
+ */
+async function updateTrack(playlistId, trackId, updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw createDataError('updates must be an object of track fields', 400);
+  }
+
+  if (updates.id !== undefined && updates.id !== trackId) {
+    throw createDataError('Track id cannot be changed', 400);
+  }
+
+  const playlist = await loadEditablePlaylist(playlistId);
+  const index = playlist.tracks.findIndex(t => t.id === trackId);
+
+  if (index === -1) {
+    throw createDataError(`Track ${trackId} not in playlist`, 404);
+  }
+
+  const merged = { ...playlist.tracks[index], ...updates, id: trackId };
+  const errors = validateTrack(merged);
+  if (errors.length > 0) {
+    throw createDataError('Invalid track', 400, { details: errors });
+  }
+
+  playlist.tracks[index] = normalizeTrack(merged);
+  await getPlaylistStore().savePlaylist(playlistId, playlist);
+
+  return playlist.tracks[index];
+}
+
+/**
+ * Remove a track (or a pending entry) from a playlist
+ * @param {string} playlistId
+ * @param {string} trackId
+ * @returns {Promise<Object>} The removed track
+ */
+async function removeTrack(playlistId, trackId) {
+  const playlist = await loadEditablePlaylist(playlistId);
+  const index = playlist.tracks.findIndex(t => t.id === trackId);
+
+  if (index === -1) {
+    const pending = (playlist.pending || []).find(entry => entry.id === trackId);
+    if (!pending) {
+      throw createDataError(`Track ${trackId} not in playlist`, 404);
+    }
+
+    playlist.pending = playlist.pending.filter(entry => entry !== pending);
+    if (playlist.pending.length === 0) delete playlist.pending;
+    await getPlaylistStore().savePlaylist(playlistId, playlist);
+    return pending;
+  }
+
+  const [removed] = playlist.tracks.splice(index, 1);
+  await getPlaylistStore().savePlaylist(playlistId, playlist);
+
+  return removed;
+}
+
 module.exports = {
   MAIN_PLAYLIST_ID,
   ALL_PLAYLIST_IDS,
   getMainPlaylistTracks,
   getPlaylistTracks,
+  getHistoricalPlaylists,
   getAllUniqueTracks,
   calculateTotalDuration,
   getTopArtists,
   getNewTracks,
+  getPlaylistMonth,
+  getTracksAddedInMonth,
+  getVotableTracks,
   getHistoricalPlaylistsInfo,
+  getPlaylistName,
   buildStatsFromData,
+  buildStatsWithEmbed,
+  buildPlaylistStats,
+  getKnownPlaylistIds,
+  addTrack,
+  addTracks,
+  updateTrack,
+  removeTrack,
 };
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Playlist diff
+ * What changed between two playlists (e.g. one month to the next)
+ *
+ * Tracks are matched by ID; artists by name, counting the tracks each
+ * artist has in either playlist.
+ */
+
+const { getPlaylistStore } = require('./playlistStore');
+const { getPlaylistTracks, calculateTotalDuration, MAIN_PLAYLIST_ID } = require('./playlistData');
+const { createDataError } = require('./errors');
+
+/**
+ * Count tracks per artist
+ * @param {Object[]} tracks
+ * @returns {Map<string, number>} Artist name → track count
+ */
+function countArtists(tracks) {
+  const counts = new Map();
+  tracks.forEach(track => {
+    (track.artists || []).forEach(artist => {
+      counts.set(artist, (counts.get(artist) || 0) + 1);
+    });
+  });
+  return counts;
+}
+
+/**
+ * Format tracks for the diff response
+ * @param {Object[]} tracks
+ * @returns {Object[]} Array of { id, name, artists, durationMs, addedAt }
+ */
+function formatTracks(tracks) {
+  return tracks.map(t => ({
+    id: t.id,
+    name: t.name,
+    artists: t.artists,
+    durationMs: t.duration_ms,
+    addedAt: t.added_at,
+  }));
+}
+
+/**
+ * Diff two track lists
+ * Pure function - no storage
+ *
+ * @param {Object[]} fromTracks - Earlier playlist's tracks
+ * @param {Object[]} toTracks - Later playlist's tracks
+ * @returns {Object} { added, removed, unchanged, duration, artists }
+ */
+function diffTracks(fromTracks, toTracks) {
+  const fromIds = new Set(fromTracks.map(t => t.id));
+  const toIds = new Set(toTracks.map(t => t.id));
+
+  const added = toTracks.filter(t => !fromIds.has(t.id));
+  const removed = fromTracks.filter(t => !toIds.has(t.id));
+
+  const fromArtists = countArtists(fromTracks);
+  const toArtists = countArtists(toTracks);
+  const allArtists = new Set([...fromArtists.keys(), ...toArtists.keys()]);
+
+  // Per-artist track count changes, biggest first
+  const changed = Array.from(allArtists)
+    .map(name => {
+      const from = fromArtists.get(name) || 0;
+      const to = toArtists.get(name) || 0;
+      return { name, from, to, delta: to - from };
+    })
+    .filter(artist => artist.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.name.localeCompare(b.name));
+
+  const fromDuration = calculateTotalDuration(fromTracks);
+  const toDuration = calculateTotalDuration(toTracks);
+
+  return {
+    added: formatTracks(added),
+    removed: formatTracks(removed),
+    unchanged: toTracks.length - added.length,
+    duration: {
+      from: fromDuration,
+      to: toDuration,
+      delta: toDuration - fromDuration,
+    },
+    artists: {
+      from: fromArtists.size,
+      to: toArtists.size,
+      delta: toArtists.size - fromArtists.size,
+      appeared: changed.filter(a => a.from === 0).map(a => a.name),
+      disappeared: changed.filter(a => a.to === 0).map(a => a.name),
+      changed,
+    },
+  };
+}
+
+/**
+ * Get a playlist's ID and name, or throw 404
+ * @param {string} playlistId
+ * @returns {Promise<Object>} { id, name, month, trackCount }
+ */
+async function getPlaylistSummary(playlistId) {
+  const playlist = await getPlaylistStore().getPlaylist(playlistId);
+  if (!playlist) {
+    throw createDataError(`Playlist not found: ${playlistId}`, 404);
+  }
+
+  return {
+    id: playlistId,
+    name: playlistId === MAIN_PLAYLIST_ID ? 'Digital Diggaz' : playlist.name || playlistId,
+    month: playlist.month || null,
+    trackCount: (playlist.tracks || []).length,
+  };
+}
+
+/**
+ * Diff two stored playlists
+ *
+ * @param {string} fromId - Earlier playlist ID
+ * @param {string} toId - Later playlist ID
+ * @returns {Promise<Object>} { from, to, ...diffTracks() }
+ */
+async function buildPlaylistDiff(fromId, toId) {
+  const [from, to] = await Promise.all([
+    getPlaylistSummary(fromId),
+    getPlaylistSummary(toId),
+  ]);
+
+  const [fromTracks, toTracks] = await Promise.all([
+    getPlaylistTracks(fromId),
+    getPlaylistTracks(toId),
+  ]);
+
+  return {
+    from,
+    to,
+    ...diffTracks(fromTracks, toTracks),
+  };
+}
+
+module.exports = {
+  diffTracks,
+  buildPlaylistDiff,
+};
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Playlist history analytics
+ * What keeps coming back across the monthly playlists
+ *
+ * Unlike getAllUniqueTracks, this keeps which months each track was in:
+ * - Evergreen tracks: featured in two or more months
+ * - Artist streaks: runs of consecutive months with at least one track
+ * - First featured: each artist's first track in their earliest month
+ *
+ * Each playlist counts for one month (its stored month, or the month of its
+ * latest track). The rollover archives the main playlist without clearing
+ * it, so main tracks already in an archive are counted there only; the rest
+ * count for the month they were added.
+ */
+
+const {
+  getMainPlaylistTracks,
+  getHistoricalPlaylists,
+  getPlaylistMonth,
+} = require('./playlistData');
+const { getMonthKey } = require('./months');
+
+/**
+ * Convert a month key to a running month number
+ * Consecutive months differ by exactly 1
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {number}
+ */
+function toMonthIndex(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return year * 12 + monthNumber - 1;
+}
+
+/**
+ * Group every playlist's tracks by month
+ * @returns {Promise<Object[]>} Array of { month, tracks }, oldest first
+ */
+async function getMonthlyTracks() {
+  const [mainTracks, historicalPlaylists] = await Promise.all([
+    getMainPlaylistTracks(),
+    getHistoricalPlaylists(),
+  ]);
+
+  const byMonth = new Map();
+  const addTracks = (month, tracks) => {
+    if (!month) return;
+    byMonth.set(month, [...(byMonth.get(month) || []), ...tracks]);
+  };
+
+  const archivedIds = new Set();
+  Object.values(historicalPlaylists).forEach(playlist => {
+    addTracks(getPlaylistMonth(playlist), playlist.tracks || []);
+    (playlist.tracks || []).forEach(track => archivedIds.add(track.id));
+  });
+
+  mainTracks
+    .filter(track => !archivedIds.has(track.id))
+    .forEach(track => {
+      addTracks(getMonthKey(track.added_at) || getMonthKey(), [track]);
+    });
+
+  return Array.from(byMonth.entries())
+    .map(([month, tracks]) => ({ month, tracks }))
+    .sort((a, b) => a.month.localeCompare(b.month));
+}
+
+/**
+ * Find runs of consecutive months
+ * @param {string[]} months - Month keys, sorted oldest first, no duplicates
+ * @returns {Object[]} Array of { from, to, length }
+ */
+function getStreaks(months) {
+  const streaks = [];
+
+  months.forEach(month => {
+    const last = streaks[streaks.length - 1];
+    if (last && toMonthIndex(month) - toMonthIndex(last.to) === 1) {
+      last.to = month;
+      last.length += 1;
+    } else {
+      streaks.push({ from: month, to: month, length: 1 });
+    }
+  });
+
+  return streaks;
+}
+
+/**
+ * Tracks featured in more than one month
+ * Pure function - no storage
+ *
+ * @param {Object[]} monthlyTracks - Array of { month, tracks }, oldest first
+ * @param {number} limit
+ * @returns {Object[]} Array of { id, name, artists, months[], count }, most months first
+ */
+function getRepeatTracks(monthlyTracks, limit = 10) {
+  const tracks = new Map();
+
+  monthlyTracks.forEach(({ month, tracks: monthTracks }) => {
+    monthTracks.forEach(track => {
+      const entry = tracks.get(track.id) || {
+        id: track.id,
+        name: track.name,
+        artists: track.artists,
+        months: [],
+      };
+      if (!entry.months.includes(month)) entry.months.push(month);
+      tracks.set(track.id, entry);
+    });
+  });
+
+  return Array.from(tracks.values())
+    .filter(track => track.months.length > 1)
+    .map(track => ({ ...track, count: track.months.length }))
+    .sort((a, b) =>
+      b.count - a.count ||
+      b.months[b.months.length - 1].localeCompare(a.months[a.months.length - 1]) ||
+      a.name.localeCompare(b.name)
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Per-artist history: months featured, streaks and first appearance
+ * Pure function - no storage
+ *
+ * @param {Object[]} monthlyTracks - Array of { month, tracks }, oldest first
+ * @returns {Object[]} Array of { name, monthsFeatured, longestStreak, currentStreak, firstFeatured }
+ */
+function getArtistHistory(monthlyTracks) {
+  const latestMonth = monthlyTracks.length
+    ? monthlyTracks[monthlyTracks.length - 1].month
+    : null;
+  const artists = new Map();
+
+  monthlyTracks.forEach(({ month, tracks }) => {
+    tracks.forEach(track => {
+      (track.artists || []).forEach(name => {
+        const entry = artists.get(name) || { name, months: [], first: null };
+        if (!entry.months.includes(month)) entry.months.push(month);
+
+        // First track in the artist's earliest month (months come oldest
+        // first), so the month and addedAt always describe the same track
+        if (!entry.first || (entry.first.month === month &&
+            (track.added_at || '') < (entry.first.track.added_at || ''))) {
+          entry.first = { month, track };
+        }
+        artists.set(name, entry);
+      });
+    });
+  });
+
+  return Array.from(artists.values()).map(({ name, months, first }) => {
+    const streaks = getStreaks(months);
+    const longestStreak = streaks.reduce((best, streak) =>
+      streak.length > best.length ? streak : best
+    );
+    const lastStreak = streaks[streaks.length - 1];
+
+    return {
+      name,
+      monthsFeatured: months.length,
+      longestStreak,
+      // Only counts if it runs up to the latest month
+      currentStreak: lastStreak.to === latestMonth ? lastStreak.length : 0,
+      firstFeatured: {
+        addedAt: first.track.added_at || null,
+        month: first.month,
+        trackId: first.track.id,
+        trackName: first.track.name,
+      },
+    };
+  });
+}
+
+/**
+ * Build the history analytics response
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Max entries per list
+ * @returns {Promise<Object>} { months, evergreens, artistStreaks, artists }
+ */
+async function buildPlaylistHistory({ limit = 10 } = {}) {
+  const monthlyTracks = await getMonthlyTracks();
+  const artists = getArtistHistory(monthlyTracks);
+
+  return {
+    months: monthlyTracks.map(({ month }) => month),
+    evergreens: getRepeatTracks(monthlyTracks, limit),
+
+    // Longest runs first, current streaks breaking ties
+    artistStreaks: artists
+      .filter(artist => artist.longestStreak.length > 1)
+      .sort((a, b) =>
+        b.longestStreak.length - a.longestStreak.length ||
+        b.currentStreak - a.currentStreak ||
+        a.name.localeCompare(b.name)
+      )
+      .slice(0, limit),
+
+    // Every artist, in order of first appearance
+    artists: artists
+      .map(({ name, monthsFeatured, firstFeatured }) => ({ name, monthsFeatured, firstFeatured }))
+      .sort((a, b) =>
+        (a.firstFeatured.addedAt || a.firstFeatured.month)
+          .localeCompare(b.firstFeatured.addedAt || b.firstFeatured.month) ||
+        a.name.localeCompare(b.name)
+      ),
+  };
+}
+
+module.exports = {
+  getMonthlyTracks,
+  getRepeatTracks,
+  getArtistHistory,
+  buildPlaylistHistory,
+};
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Playlist data store selection
+ * Picks the storage backend for playlist track data
+ *
+ * Set PLAYLIST_STORE to choose a backend:
+ * - json (default): data/playlists.json, edited by hand and redeployed
+ * - kv: Vercel KV, editable at runtime without a redeploy
+ *
+ * Every store implements:
+ * - getPlaylist(id)          → Promise<{ name, tracks[] } | null>
+ * - listPlaylists()          → Promise<{ [id]: { name, tracks[] } }>
+ * - savePlaylist(id, data)   → Promise<void>
+ */
+
+const { createJsonFileStore } = require('./stores/jsonFileStore');
+const { createKvStore } = require('./stores/kvStore');
+
+// Cached store instance (one per server process)
+let store = null;
+
+/**
+ * Create a store for the given backend name
+ * @param {string} backend - 'json' or 'kv'
+ * @returns {Object} Playlist store
+ */
+function createPlaylistStore(backend = 'json') {
+  switch (backend) {
+    case 'kv':
+      return createKvStore();
+    case 'json':
+      return createJsonFileStore({ filePath: process.env.PLAYLIST_DATA_FILE || undefined });
+    default:
+      throw new Error(`Unknown playlist store: ${backend}`);
+  }
+}
+
+/**
+ * Get the configured playlist store
+ * @returns {Object} Playlist store
+ */
+function getPlaylistStore() {
+  if (!store) {
+    store = createPlaylistStore(process.env.PLAYLIST_STORE || 'json');
+  }
+  return store;
+}
+
+/**
+ * Override the playlist store (e.g. for scripts)
+ * @param {Object|null} customStore - Store to use, or null to reset
+ */
+function setPlaylistStore(customStore) {
+  store = customStore;
+}
+
+module.exports = {
+  createPlaylistStore,
+  getPlaylistStore,
+  setPlaylistStore,
+};
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Instant-runoff tally for ranked ballots
+ * Pure functions - no storage
+ *
+ * Each round, every ballot counts for its highest-ranked track still in
+ * the running. If a track has a majority of the counted ballots it wins;
+ * otherwise the track(s) with the fewest votes are eliminated and their
+ * ballots move to the next choice. Ballots with no remaining choices are
+ * exhausted and stop counting.
+ */
+
+/**
+ * Count first remaining preferences for the active tracks
+ * @param {string[][]} ballots - Ranked track IDs per ballot
+ * @param {Set<string>} active - Tracks still in the running
+ * @returns {Object} trackId → count
+ */
+function countRound(ballots, active) {
+  const counts = {};
+  active.forEach(id => { counts[id] = 0; });
+
+  ballots.forEach(ranking => {
+    const choice = ranking.find(id => active.has(id));
+    if (choice) counts[choice]++;
+  });
+
+  return counts;
+}
+
+/**
+ * Run an instant-runoff tally
+ *
+ * @param {string[][]} ballots - Ranked track IDs per ballot
+ * @returns {Object} { order: [{ trackId, votes }], rounds: [{ counts, eliminated[] }] }
+ *   order is best first; votes is each track's count in its last round
+ */
+function computeInstantRunoff(ballots) {
+  const active = new Set(ballots.flat());
+  const rounds = [];
+  const eliminated = []; // [{ trackId, votes }] in elimination order
+
+  while (active.size > 0) {
+    const counts = countRound(ballots, active);
+    const values = Object.values(counts);
+    const total = values.reduce((sum, n) => sum + n, 0);
+    const max = Math.max(...values);
+    const min = Math.min(...values);
+
+    // Winner found, or remaining tracks are tied and can't be separated
+    if (max * 2 > total || active.size === 1 || max === min) {
+      rounds.push({ counts, eliminated: [] });
+
+      const finalists = Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([trackId, votes]) => ({ trackId, votes }));
+
+      return {
+        order: [...finalists, ...eliminated.reverse()],
+        rounds,
+      };
+    }
+
+    // Eliminate every track tied for last
+    const losers = Object.keys(counts).filter(id => counts[id] === min);
+    losers.forEach(id => {
+      active.delete(id);
+      eliminated.push({ trackId: id, votes: min });
+    });
+
+    rounds.push({ counts, eliminated: losers });
+  }
+
+  return { order: [], rounds };
+}
+
+module.exports = {
+  computeInstantRunoff,
+};
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Per-IP rate limiting for API routes
+ * Sliding-window counters in Vercel KV, with an in-memory fallback
+ *
+ * Each limit counts requests per client in fixed windows and weights the
+ * previous window by how much of it still overlaps the sliding window:
+ *   estimate = previous * (1 - elapsed / window) + current
+ * Rejected requests count too, so hammering a limited route keeps it limited.
+ *
+ * Keys: ratelimit:<name>:<client>:<window index> (expire after two windows)
+ *
+ * Without KV (or if a KV call fails) counts are kept in memory instead,
+ * which only limits per server instance but never blocks the route.
+ */
+
+const { kv } = require('@vercel/kv');
+const { getClientIp, hmac } = require('./visitor');
+
+// Memory fallback: key → { count, expiresAt }
+const memoryCounts = new Map();
+
+// Sweep expired memory entries once the map grows past this
+const MEMORY_SWEEP_SIZE = 10000;
+
+/**
+ * In-memory counter store (per server instance)
+ */
+const memoryStore = {
+  name: 'memory',
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+
+    if (memoryCounts.size > MEMORY_SWEEP_SIZE) {
+      memoryCounts.forEach((entry, k) => {
+        if (entry.expiresAt <= now) memoryCounts.delete(k);
+      });
+    }
+
+    const entry = memoryCounts.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      memoryCounts.set(key, { count: 1, expiresAt: now + ttlMs });
+      return 1;
+    }
+
+    entry.count++;
+    return entry.count;
+  },
+
+  async get(key) {
+    const entry = memoryCounts.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.count : 0;
+  },
+};
+
+/**
+ * Vercel KV counter store (shared across instances)
+ */
+const kvStore = {
+  name: 'kv',
+
+  async increment(key, ttlMs) {
+    const count = await kv.incr(key);
+    if (count === 1) {
+      await kv.expire(key, Math.ceil(ttlMs / 1000));
+    }
+    return count;
+  },
+
+  async get(key) {
+    return Number(await kv.get(key)) || 0;
+  },
+};
+
+/**
+ * Pick the counter store - KV if configured
+ * @returns {Object} Store
+ */
+function getStore() {
+  return process.env.KV_REST_API_URL ? kvStore : memoryStore;
+}
+
+/**
+ * Identify the client for rate limiting
+ * Hashed like vote fingerprints; raw IP only if no secret is set
+ * (which also means KV is off and counts stay in memory)
+ *
+ * @param {Object} req - Next.js request object
+ * @returns {string} Client key
+ */
+function getClientKey(req) {
+  const ip = getClientIp(req);
+  try {
+    return hmac(`ratelimit|${ip}`).slice(0, 32);
+  } catch {
+    return ip;
+  }
+}
+
+/**
+ * Count a request and check it against a limit
+ *
+ * @param {string} client - Client key
+ * @param {Object} options
+ * @param {string} options.name - Limit name (separates counters per route)
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowSeconds - Sliding window length
+ * @param {number} options.now - Current time (ms), defaults to now
+ * @returns {Promise<Object>} { allowed, limit, remaining, retryAfter (seconds) }
+ */
+async function checkRateLimit(client, { name, limit, windowSeconds, now = Date.now() }) {
+  const windowMs = windowSeconds * 1000;
+  const index = Math.floor(now / windowMs);
+  const elapsed = now - index * windowMs;
+  const prefix = `ratelimit:${name}:${client}`;
+
+  let current;
+  let previous;
+  const count = async store => Promise.all([
+    store.increment(`${prefix}:${index}`, windowMs * 2),
+    store.get(`${prefix}:${index - 1}`),
+  ]);
+
+  try {
+    [current, previous] = await count(getStore());
+  } catch (error) {
+    console.warn('[RateLimit] KV unavailable, using memory:', error.message);
+    [current, previous] = await count(memoryStore);
+  }
+
+  const weight = 1 - elapsed / windowMs;
+  const estimate = previous * weight + current;
+
+  if (estimate <= limit) {
+    return {
+      allowed: true,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - estimate)),
+      retryAfter: 0,
+    };
+  }
+
+  // Time until one more request would fit in the sliding window
+  let waitMs;
+  if (current < limit) {
+    // Wait for enough of the previous window to slide out
+    waitMs = windowMs * (1 - (limit - current - 1) / previous) - elapsed;
+  } else {
+    // This window is full - wait for the next one, then for it to slide out
+    waitMs = (windowMs - elapsed) + windowMs * (1 - (limit - 1) / current);
+  }
+
+  return {
+    allowed: false,
+    limit,
+    remaining: 0,
+    retryAfter: Math.max(1, Math.ceil(waitMs / 1000)),
+  };
+}
+
+/**
+ * Apply a rate limit to the request, responding with 429 if exceeded
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ * @param {Object} options - { name, limit, windowSeconds }
+ * @returns {Promise<boolean>} True if the handler may continue
+ */
+async function rateLimit(req, res, options) {
+  const result = await checkRateLimit(getClientKey(req), options);
+
+  res.setHeader('X-RateLimit-Limit', result.limit);
+  res.setHeader('X-RateLimit-Remaining', result.remaining);
+
+  if (!result.allowed) {
+    res.setHeader('Retry-After', result.retryAfter);
+    res.status(429).json({
+      error: 'Too many requests',
+      retryAfter: result.retryAfter,
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Wrap an API route handler with a rate limit
+ *
+ * @param {Function} handler - Next.js API route handler
+ * @param {Object} options - { name, limit, windowSeconds }
+ * @returns {Function} Rate-limited handler
+ *
+ * @example
+ * export default withRateLimit(handler, { name: 'stats', limit: 60, windowSeconds: 60 });
+ */
+function withRateLimit(handler, options) {
+  return async function rateLimitedHandler(req, res) {
+    if (!(await rateLimit(req, res, options))) return undefined;
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  checkRateLimit,
+  rateLimit,
+  withRateLimit,
+};
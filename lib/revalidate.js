@@ -0,0 +1,45 @@
+/**
+ * @fileoverview On-demand revalidation
+ * Rebuilds statically rendered pages after curators change playlist data
+ *
+ * The home page is rendered with getStaticProps and also regenerates on
+ * its own every STATS_REVALIDATE_SECONDS; this skips the wait.
+ */
+
+// Seconds between background rebuilds of static stats pages
+const STATS_REVALIDATE_SECONDS = 300;
+
+// Pages built from playlist data with getStaticProps
+const STATS_PAGES = ['/'];
+
+/**
+ * Revalidate the static stats pages
+ * Never throws - a failed rebuild just waits for the next timed one
+ *
+ * @param {Object} res - Next.js API response object (provides res.revalidate)
+ * @returns {Promise<Object>} { revalidated: string[], failed: string[] }
+ */
+async function revalidateStatsPages(res) {
+  const results = await Promise.allSettled(
+    STATS_PAGES.map(path => res.revalidate(path))
+  );
+
+  const revalidated = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      revalidated.push(STATS_PAGES[index]);
+    } else {
+      console.warn(`[Revalidate] ${STATS_PAGES[index]} failed:`, result.reason?.message);
+      failed.push(STATS_PAGES[index]);
+    }
+  });
+
+  return { revalidated, failed };
+}
+
+module.exports = {
+  STATS_REVALIDATE_SECONDS,
+  STATS_PAGES,
+  revalidateStatsPages,
+};
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Monthly playlist rollover
+ * Archives the main playlist into a historical playlist and closes the vote
+ *
+ * Run on the 1st of each month (Vercel cron) for the month that just ended:
+ * 1. Snapshot main playlist tracks as "Digital Diggaz <Month> <Year>"
+ * 2. Those tracks now count as historical, so getNewTracks starts empty
+ *    and only picks up tracks added after the rollover
+ * 3. Finalize that month's Track of the Month tally
+ *
+ * Running it again for a month that's already archived skips the snapshot
+ * but still finalizes the votes, so a failed finalization can be retried.
+ */
+
+const { getPlaylistStore } = require('./playlistStore');
+const { getMainPlaylistTracks, getHistoricalPlaylists } = require('./playlistData');
+const { createDataError } = require('./errors');
+const { finalizeVotes } = require('./votes');
+const { getPreviousMonthKey, isMonthKey } = require('./months');
+const { formatMonth } = require('../utils/formatters');
+
+/**
+ * Default archive ID for a month (until linked to a Spotify playlist)
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} Playlist ID, e.g. "archive-2026-01"
+ */
+function getArchiveId(month) {
+  return `archive-${month}`;
+}
+
+/**
+ * Default archive name for a month
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} e.g. "Digital Diggaz January 2026"
+ */
+function getArchiveName(month) {
+  return `Digital Diggaz ${formatMonth(month)}`;
+}
+
+/**
+ * Archive the main playlist for a month and finalize its votes
+ *
+ * @param {Object} options
+ * @param {string} options.month - Month to archive (YYYY-MM, defaults to last month)
+ * @param {string} options.playlistId - Archive ID (e.g. the Spotify ID of the monthly playlist)
+ * @param {string} options.name - Archive name
+ * @returns {Promise<Object>} { month, archived, playlist: { id, name, trackCount }, votes, votesError }
+ *   archived is false if the month was already archived; votesError is set
+ *   if finalizing the votes failed (run it again to retry)
+ */
+async function rolloverMonth({ month, playlistId, name } = {}) {
+  const archiveMonth = month || getPreviousMonthKey();
+
+  if (!isMonthKey(archiveMonth)) {
+    throw createDataError('month must be in YYYY-MM format', 400);
+  }
+
+  const archiveId = playlistId || getArchiveId(archiveMonth);
+  const archiveName = name || getArchiveName(archiveMonth);
+
+  // Only one archive per month, and never overwrite another month's playlist
+  const historical = await getHistoricalPlaylists();
+  const existing = Object.entries(historical)
+    .find(([id, playlist]) => id === archiveId || playlist.month === archiveMonth);
+
+  if (existing && existing[1].month !== archiveMonth) {
+    throw createDataError(`${archiveId} already used by another playlist`, 409);
+  }
+
+  let playlist;
+
+  if (existing) {
+    const [existingId, archive] = existing;
+    playlist = { id: existingId, name: archive.name, trackCount: archive.tracks?.length || 0 };
+  } else {
+    const tracks = await getMainPlaylistTracks();
+    if (tracks.length === 0) {
+      throw createDataError('Main playlist has no tracks to archive', 400);
+    }
+
+    await getPlaylistStore().savePlaylist(archiveId, {
+      name: archiveName,
+      month: archiveMonth,
+      archivedAt: new Date().toISOString(),
+      tracks,
+    });
+
+    playlist = { id: archiveId, name: archiveName, trackCount: tracks.length };
+  }
+
+  // Votes live in KV; archive even if voting isn't configured
+  let votes = null;
+  let votesError = null;
+
+  if (process.env.KV_REST_API_URL) {
+    try {
+      votes = await finalizeVotes(archiveMonth);
+    } catch (error) {
+      console.error('[Rollover] Could not finalize votes:', error.message);
+      votesError = error.message;
+    }
+  }
+
+  return {
+    month: archiveMonth,
+    archived: !existing,
+    playlist,
+    votes,
+    votesError,
+  };
+}
+
+module.exports = {
+  getArchiveId,
+  getArchiveName,
+  rolloverMonth,
+};
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Share card data
+ * What goes on the Open Graph image for the stats page (/api/og)
+ *
+ * The card is rendered locally with the fonts bundled in next/og, which
+ * only cover Latin text. Anything else would make the renderer download
+ * fonts or emoji from Google/jsDelivr, so card text is reduced to Latin
+ * first, and the cover is downloaded here (Spotify CDN only, cached)
+ * and passed in as a data URI.
+ */
+
+const {
+  MAIN_PLAYLIST_ID,
+  getPlaylistName,
+  calculateTotalDuration,
+  getTopArtists,
+} = require('./playlistData');
+const { getPlaylistStore } = require('./playlistStore');
+const { getPlaylistEmbed } = require('./spotifyEmbed');
+const {
+  getVoteTally,
+  getVotingConfig,
+  getVotingStatus,
+  getFinalizedVotes,
+} = require('./votes');
+const { getMonthKey, getPreviousMonthKey } = require('./months');
+
+// Hosts covers may be downloaded from (same as next.config.js images)
+const COVER_HOSTS = [
+  'i.scdn.co',
+  'mosaic.scdn.co',
+  'image-cdn-ak.spotifycdn.com',
+  'image-cdn-fa.spotifycdn.com',
+];
+
+// Give up on slow cover downloads - the card has a placeholder
+const COVER_TIMEOUT_MS = 3000;
+
+// Downloaded covers: URL → data URI (covers change URL when they change)
+const coverCache = new Map();
+
+// Characters the bundled Latin font can draw without downloading others
+const CARD_TEXT = /^[\u0020-\u007E\u00A0-\u00FF\u2010-\u2027\u20AC\u2122]$/;
+
+/**
+ * Reduce text to characters the card font covers
+ * Accents are dropped where that leaves a Latin letter ("ő" becomes "o");
+ * other characters become "?"
+ *
+ * @param {string} text
+ * @returns {string} Drawable text
+ */
+function toCardText(text) {
+  return Array.from(String(text || ''))
+    .map(char => {
+      if (CARD_TEXT.test(char)) return char;
+      const stripped = char.normalize('NFKD').replace(/[\u0300-\u036F]/g, '');
+      return Array.from(stripped).every(c => CARD_TEXT.test(c)) && stripped ? stripped : '?';
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Download a cover image as a data URI
+ * @param {string} url - Cover URL (from oEmbed, or stored)
+ * @returns {Promise<string|null>} Data URI, or null if unavailable
+ */
+async function getCoverDataUri(url) {
+  if (!url) return null;
+  if (coverCache.has(url)) return coverCache.get(url);
+
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:' || !COVER_HOSTS.includes(hostname)) {
+      return null;
+    }
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(COVER_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Cover request failed: ${response.status}`);
+    }
+
+    const type = response.headers.get('content-type') || 'image/jpeg';
+    const bytes = Buffer.from(await response.arrayBuffer());
+    const dataUri = `data:${type};base64,${bytes.toString('base64')}`;
+
+    coverCache.set(url, dataUri);
+    return dataUri;
+
+  } catch (error) {
+    console.warn('[Share Card] Cover unavailable:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Pick the fields the card shows for a track, as drawable text
+ * @param {Object} track - { trackName, artists }
+ * @returns {Object|null} { trackName, artists }
+ */
+function toCardTrack(track) {
+  if (!track?.trackName) return null;
+  return {
+    trackName: toCardText(track.trackName),
+    artists: (track.artists || []).map(toCardText),
+  };
+}
+
+/**
+ * Get the vote summary for the card
+ * Live results stay hidden while voting is open (like /api/vote), so the
+ * leader is only given once voting has closed; until then the card shows
+ * the vote count and last month's winner.
+ *
+ * @returns {Promise<Object|null>} { status, totalVotes, leader, previousWinner }, or null without KV
+ */
+async function getVoteSummary() {
+  // Voting needs KV - leave the vote line off without it
+  if (!process.env.KV_REST_API_URL) return null;
+
+  const month = getMonthKey();
+  const [config, tally] = await Promise.all([
+    getVotingConfig(month),
+    getVoteTally(month),
+  ]);
+  const status = getVotingStatus(config);
+  const revealed = status === 'closed';
+
+  const previous = revealed ? null : await getFinalizedVotes(getPreviousMonthKey());
+
+  return {
+    status,
+    totalVotes: tally.totalVotes,
+    leader: revealed ? toCardTrack(tally.results[0]) : null,
+    previousWinner: toCardTrack(previous?.winner),
+  };
+}
+
+/**
+ * Get the site's absolute URL, for og:image links
+ * SITE_URL if set (https:// is added if it has no scheme), otherwise the
+ * Vercel deployment URL
+ * @returns {string} e.g. "https://diggaz.example" (empty if unknown)
+ */
+function getSiteUrl() {
+  const siteUrl = (process.env.SITE_URL || '').trim().replace(/\/+$/, '');
+  if (siteUrl) return /^https?:\/\//i.test(siteUrl) ? siteUrl : `https://${siteUrl}`;
+
+  const host = process.env.VERCEL_PROJECT_PRODUCTION_URL || process.env.VERCEL_URL;
+  return host ? `https://${host}` : '';
+}
+
+/**
+ * Build everything the share card shows, as drawable text
+ * @returns {Promise<Object>} { title, coverDataUri, trackCount, durationMs, topArtists, vote }
+ */
+async function buildShareCardData() {
+  const [playlist, embedData, vote] = await Promise.all([
+    getPlaylistStore().getPlaylist(MAIN_PLAYLIST_ID),
+    getPlaylistEmbed(MAIN_PLAYLIST_ID),
+    getVoteSummary(),
+  ]);
+  const tracks = playlist?.tracks || [];
+
+  // Without oEmbed data, use the stored name and cover
+  return {
+    title: toCardText(embedData.title || getPlaylistName(MAIN_PLAYLIST_ID, playlist)),
+    coverDataUri: await getCoverDataUri(embedData.thumbnail || playlist?.coverImage),
+    trackCount: tracks.length,
+    durationMs: calculateTotalDuration(tracks),
+    topArtists: getTopArtists(tracks, 3).map(artist => toCardText(artist.name)),
+    vote,
+  };
+}
+
+module.exports = {
+  toCardText,
+  getSiteUrl,
+  buildShareCardData,
+};
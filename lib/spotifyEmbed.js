@@ -4,47 +4,115 @@
  * 
  * oEmbed endpoint: https://open.spotify.com/oembed?url=SPOTIFY_URL
  * Returns: { title, thumbnail_url, html (iframe), provider_name, etc. }
+ *
+ * Lookups go through a cache (lib/oembedCache.js) so stats requests don't
+ * call Spotify every time and keep their covers when Spotify is down.
  */
 
+const { createOEmbedCache } = require('./oembedCache');
+
+// oEmbed endpoint (override with SPOTIFY_OEMBED_URL, e.g. a local stub server)
+const DEFAULT_OEMBED_ENDPOINT = 'https://open.spotify.com/oembed';
+
+// Give up on slow oEmbed responses - stats don't wait for covers
+const OEMBED_TIMEOUT_MS = 5000;
+
+// Max oEmbed lookups in flight at once for getMultiplePlaylistEmbeds
+const DEFAULT_CONCURRENCY = 4;
+
+// fetch implementation for oEmbed calls (see setEmbedFetch)
+let fetchImpl = null;
+
+// Cached cache instance (one per server process)
+let cache = null;
+
+/**
+ * Fetch and normalize oEmbed data for a resource URL
+ * @param {string} url - Spotify resource URL
+ * @returns {Promise<Object>} { title, thumbnail, iframeHtml, provider }
+ */
+async function fetchOEmbed(url) {
+  const endpoint = process.env.SPOTIFY_OEMBED_URL || DEFAULT_OEMBED_ENDPOINT;
+  const doFetch = fetchImpl || fetch;
+
+  const response = await doFetch(`${endpoint}?url=${encodeURIComponent(url)}`, {
+    signal: AbortSignal.timeout(OEMBED_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`oEmbed request failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  return {
+    title: data.title || null,
+    thumbnail: data.thumbnail_url || null,
+    iframeHtml: data.html || null,
+    provider: data.provider_name || 'Spotify',
+  };
+}
+
+/**
+ * Get the oEmbed cache
+ * @returns {Object} Cache from createOEmbedCache
+ */
+function getEmbedCache() {
+  if (!cache) {
+    cache = createOEmbedCache({ fetcher: fetchOEmbed });
+  }
+  return cache;
+}
+
+/**
+ * Override the fetch used for oEmbed calls (e.g. for tests)
+ * Also resets the cache instance
+ * @param {Function|null} customFetch - fetch-compatible function, or null to reset
+ */
+function setEmbedFetch(customFetch) {
+  fetchImpl = customFetch;
+  cache = null;
+}
+
 /**
  * Get playlist embed data via Spotify's public oEmbed API
  * No API keys or authentication required
+ * Cached (see lib/oembedCache.js) - stale data is served if Spotify fails
  * 
  * @param {string} playlistId - Spotify playlist ID
- * @returns {Promise<Object>} oEmbed response with title, thumbnail, iframe HTML
+ * @returns {Promise<Object>} { id, title, thumbnail, iframeHtml, provider, url, stale, error }
+ *   title/thumbnail are null when nothing could be fetched
  */
 async function getPlaylistEmbed(playlistId) {
   const playlistUrl = `https://open.spotify.com/playlist/${playlistId}`;
-  const oEmbedUrl = `https://open.spotify.com/oembed?url=${encodeURIComponent(playlistUrl)}`;
 
   try {
-    const response = await fetch(oEmbedUrl);
-    
-    if (!response.ok) {
-      throw new Error(`oEmbed request failed: ${response.status}`);
+    const { data, stale, error } = await getEmbedCache().get(playlistUrl);
+
+    if (stale) {
+      console.warn(`[oEmbed] Serving stale data for playlist ${playlistId}:`, error);
     }
 
-    const data = await response.json();
-    
     return {
       id: playlistId,
-      title: data.title || 'Unknown Playlist',
-      thumbnail: data.thumbnail_url || null,
-      iframeHtml: data.html || null,
-      provider: data.provider_name || 'Spotify',
+      ...data,
       url: playlistUrl,
+      stale,
+      error,
     };
   } catch (error) {
     console.error(`[oEmbed] Error fetching playlist ${playlistId}:`, error.message);
     
-    // Return fallback data
+    // Nothing cached - callers keep their own name and cover
     return {
       id: playlistId,
-      title: 'Digital Diggaz',
+      title: null,
       thumbnail: null,
       iframeHtml: null,
       provider: 'Spotify',
       url: playlistUrl,
+      stale: false,
+      error: error.message,
     };
   }
 }
@@ -70,17 +138,36 @@ function getEmbedUrl(playlistId, options = {}) {
 }
 
 /**
- * Get multiple playlist embeds
+ * Get multiple playlist embeds (each cached like getPlaylistEmbed)
+ * At most `concurrency` lookups run at once, so a long history doesn't
+ * fire dozens of requests at Spotify in one go
+ *
  * @param {string[]} playlistIds - Array of playlist IDs
- * @returns {Promise<Object[]>} Array of embed data
+ * @param {Object} options
+ * @param {number} options.concurrency - Max lookups in flight
+ * @returns {Promise<Object[]>} Array of embed data, in the same order
  */
-async function getMultiplePlaylistEmbeds(playlistIds) {
-  const promises = playlistIds.map(id => getPlaylistEmbed(id));
-  return Promise.all(promises);
+async function getMultiplePlaylistEmbeds(playlistIds, { concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const results = new Array(playlistIds.length);
+  let next = 0;
+
+  // Each worker takes the next ID until none are left
+  const worker = async () => {
+    while (next < playlistIds.length) {
+      const index = next++;
+      results[index] = await getPlaylistEmbed(playlistIds[index]);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, playlistIds.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
 }
 
 module.exports = {
   getPlaylistEmbed,
   getEmbedUrl,
   getMultiplePlaylistEmbeds,
+  setEmbedFetch,
 };
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview JSON file playlist store
+ * Reads and writes playlist data from a JSON file on disk
+ *
+ * File format:
+ * { "playlists": { "<playlistId>": { "name": "...", "tracks": [...] } } }
+ *
+ * NOTE: Vercel's filesystem is read-only at runtime, so writes only
+ * work locally. Use the KV store for edits on a deployed site.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Default data file (relative to project root)
+const DEFAULT_FILE = path.join(process.cwd(), 'data', 'playlists.json');
+
+/**
+ * Create a store backed by a JSON file
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Path to the JSON data file
+ * @returns {Object} Playlist store
+ */
+function createJsonFileStore({ filePath = DEFAULT_FILE } = {}) {
+  /**
+   * Read the whole data file
+   * Missing file is treated as an empty store
+   */
+  async function readData() {
+    try {
+      const raw = await fs.readFile(filePath, 'utf8');
+      const data = JSON.parse(raw);
+      return { playlists: data.playlists || {} };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { playlists: {} };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the whole data file
+   */
+  async function writeData(data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  }
+
+  return {
+    name: 'json',
+
+    async getPlaylist(playlistId) {
+      const data = await readData();
+      return data.playlists[playlistId] || null;
+    },
+
+    async listPlaylists() {
+      const data = await readData();
+      return data.playlists;
+    },
+
+    async savePlaylist(playlistId, playlist) {
+      const data = await readData();
+      data.playlists[playlistId] = {
+        ...playlist,
+        tracks: playlist.tracks || [],
+      };
+      await writeData(data);
+    },
+  };
+}
+
+module.exports = {
+  createJsonFileStore,
+};
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Vercel KV playlist store
+ * Stores playlist data in the same KV database used for voting
+ *
+ * Keys:
+ * - playlists            Set of known playlist IDs
+ * - playlist:<id>        { name, tracks[] } for a single playlist
+ *
+ * REQUIRES: @vercel/kv configured in Vercel project settings
+ */
+
+const { kv } = require('@vercel/kv');
+
+const INDEX_KEY = 'playlists';
+
+/**
+ * Build the KV key for a playlist
+ * @param {string} playlistId
+ * @returns {string} Redis key
+ */
+function getPlaylistKey(playlistId) {
+  return `playlist:${playlistId}`;
+}
+
+/**
+ * Create a store backed by Vercel KV
+ *
+ * @param {Object} options
+ * @param {Object} options.client - KV client (defaults to @vercel/kv)
+ * @returns {Object} Playlist store
+ */
+function createKvStore({ client = kv } = {}) {
+  return {
+    name: 'kv',
+
+    async getPlaylist(playlistId) {
+      const data = await client.get(getPlaylistKey(playlistId));
+      // Values written via the client are JSON, but tolerate raw strings
+      return typeof data === 'string' ? JSON.parse(data) : data || null;
+    },
+
+    async listPlaylists() {
+      const ids = await client.smembers(INDEX_KEY) || [];
+      if (ids.length === 0) return {};
+
+      const values = await client.mget(...ids.map(getPlaylistKey));
+
+      const playlists = {};
+      ids.forEach((id, index) => {
+        const value = values[index];
+        if (value) {
+          playlists[id] = typeof value === 'string' ? JSON.parse(value) : value;
+        }
+      });
+      return playlists;
+    },
+
+    async savePlaylist(playlistId, playlist) {
+      await client.set(getPlaylistKey(playlistId), {
+        ...playlist,
+        tracks: playlist.tracks || [],
+      });
+      await client.sadd(INDEX_KEY, playlistId);
+    },
+  };
+}
+
+module.exports = {
+  createKvStore,
+};
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Bulk track import parsing
+ * Turns pasted Spotify links or CSV exports into track objects
+ *
+ * Accepted input:
+ * 1. One track per line (fields separated by "|"):
+ *    <link or URI> | <name> | <artist 1, artist 2> | <duration>
+ *    - link: https://open.spotify.com/track/<id> or spotify:track:<id>
+ *    - duration: "3:30", "1:02:03" or milliseconds
+ *    A bare link (no other fields) is returned in `links`, for the caller
+ *    to look up or keep as pending (see addTracks in lib/playlistData).
+ *    Lines with only some of the fields are reported as malformed.
+ * 2. CSV export with a header row (e.g. Exportify), using columns:
+ *    Track URI, Track Name, Artist Name(s), Duration (ms), Added At
+ */
+
+const { isSpotifyId, validateTrack, normalizeTrack } = require('./trackSchema');
+
+// Share link and URI forms of a track ID
+const TRACK_URL_PATTERN = /open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/([A-Za-z0-9]{22})/;
+const TRACK_URI_PATTERN = /^spotify:track:([A-Za-z0-9]{22})$/;
+
+// CSV header names we understand (lowercased) → track field
+const CSV_COLUMNS = {
+  'track uri': 'link',
+  'spotify id': 'link',
+  'track id': 'link',
+  'track name': 'name',
+  'artist name(s)': 'artists',
+  'artist name': 'artists',
+  'artists': 'artists',
+  'duration (ms)': 'duration',
+  'track duration (ms)': 'duration',
+  'added at': 'added_at',
+};
+
+// Fields of a line, in order
+const LINE_FIELDS = ['link', 'name', 'artists', 'duration'];
+
+/**
+ * Extract a Spotify track ID from a share link, URI or bare ID
+ *
+ * @param {string} input - Link, URI or ID
+ * @returns {string|null} Track ID, or null if not recognised
+ *
+ * @example
+ * parseSpotifyTrackId('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC?si=x')
+ * // "4uLU6hMCjMI75M1A2tKUQC"
+ */
+function parseSpotifyTrackId(input) {
+  if (!input) return null;
+  const value = String(input).trim();
+
+  const match = value.match(TRACK_URL_PATTERN) || value.match(TRACK_URI_PATTERN);
+  if (match) return match[1];
+
+  return isSpotifyId(value) ? value : null;
+}
+
+/**
+ * Parse a duration into milliseconds
+ *
+ * @param {string|number} input - "m:ss", "h:mm:ss" or milliseconds
+ * @returns {number|null} Duration in ms, or null if invalid
+ *
+ * @example
+ * parseDuration('3:30') // 210000
+ */
+function parseDuration(input) {
+  if (input === null || input === undefined) return null;
+  const value = String(input).trim();
+
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+    return value
+      .split(':')
+      .reduce((total, part) => total * 60 + parseInt(part, 10), 0) * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Split an artist list ("A, B" or "A;B") into names
+ * @param {string} input
+ * @returns {string[]} Artist names
+ */
+function parseArtists(input) {
+  if (!input) return [];
+  const separator = input.includes(';') ? ';' : ',';
+  return input
+    .split(separator)
+    .map(artist => artist.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse CSV text into rows of cells (handles quoted fields)
+ *
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of cell values
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  // Last row (no trailing newline)
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * Check whether text looks like a CSV export with a header row
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isCsvExport(text) {
+  const firstLine = text.trimStart().split(/\r?\n/, 1)[0].toLowerCase();
+  return /track uri|spotify id|track id/.test(firstLine) && firstLine.includes(',');
+}
+
+/**
+ * Build a track from raw fields, collecting problems
+ *
+ * @param {Object} fields - { link, name, artists, duration, added_at }
+ * @param {string} defaultAddedAt - ISO date used when none given
+ * @returns {Object} { track } or { errors[] }
+ */
+function buildTrack(fields, defaultAddedAt) {
+  const id = parseSpotifyTrackId(fields.link);
+  if (!id) {
+    return { errors: ['not a Spotify track link, URI or ID'] };
+  }
+
+  const raw = {
+    id,
+    name: fields.name,
+    artists: parseArtists(fields.artists),
+    duration_ms: parseDuration(fields.duration),
+    added_at: fields.added_at || defaultAddedAt,
+  };
+
+  const errors = validateTrack(raw);
+  return errors.length > 0 ? { errors } : { track: normalizeTrack(raw) };
+}
+
+/**
+ * Parse pasted import text into tracks and malformed rows
+ *
+ * @param {string} text - Pasted links or CSV export
+ * @param {Object} options
+ * @param {string} options.addedAt - Default added_at (ISO, defaults to now)
+ * @returns {Object} { format, tracks: [{ line, track }], links: [{ line, id, added_at }],
+ *   malformed: [{ line, input, errors }] }
+ */
+function parseImportText(text, { addedAt = new Date().toISOString() } = {}) {
+  const tracks = [];
+  const links = [];
+  const malformed = [];
+
+  if (!text || !text.trim()) {
+    return { format: 'lines', tracks, links, malformed };
+  }
+
+  if (isCsvExport(text)) {
+    const [header, ...rows] = parseCsv(text);
+    const columns = header.map(name => CSV_COLUMNS[name.trim().toLowerCase()]);
+
+    rows.forEach((cells, index) => {
+      const fields = {};
+      columns.forEach((field, col) => {
+        if (field && fields[field] === undefined) fields[field] = cells[col];
+      });
+
+      const result = buildTrack(fields, addedAt);
+      const line = index + 2; // 1-based, after header
+      if (result.track) {
+        tracks.push({ line, track: result.track });
+      } else {
+        malformed.push({ line, input: cells.join(','), errors: result.errors });
+      }
+    });
+
+    return { format: 'csv', tracks, links, malformed };
+  }
+
+  text.split(/\r?\n/).forEach((input, index) => {
+    if (!input.trim()) return;
+
+    const parts = input.split('|').map(part => part.trim());
+    const fields = {};
+    LINE_FIELDS.forEach((field, position) => { fields[field] = parts[position]; });
+
+    const line = index + 1;
+    const id = parseSpotifyTrackId(fields.link);
+    const missing = LINE_FIELDS.filter(field => !fields[field]);
+
+    // Bare link - details come from elsewhere
+    if (id && missing.length === LINE_FIELDS.length - 1) {
+      links.push({ line, id, added_at: new Date(addedAt).toISOString() });
+      return;
+    }
+
+    // Say what's missing rather than reporting each schema error
+    if (id && missing.length > 0) {
+      malformed.push({
+        line,
+        input: input.trim(),
+        errors: [`missing ${missing.join(', ')} - use: ${LINE_FIELDS.join(' | ')}, or paste a CSV export`],
+      });
+      return;
+    }
+
+    const result = buildTrack(fields, addedAt);
+
+    if (result.track) {
+      tracks.push({ line, track: result.track });
+    } else {
+      malformed.push({ line, input: input.trim(), errors: result.errors });
+    }
+  });
+
+  return { format: 'lines', tracks, links, malformed };
+}
+
+module.exports = {
+  parseSpotifyTrackId,
+  parseDuration,
+  parseCsv,
+  parseImportText,
+};
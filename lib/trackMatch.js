@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Identify the track playing in the Spotify embed
+ * Pure functions - no storage, safe to use in the browser
+ *
+ * The embed's playback_update event doesn't always say what is playing.
+ * When it carries a track URI that wins; otherwise the reported duration
+ * is matched against the main playlist's tracks.
+ */
+
+const { parseSpotifyTrackId } = require('./trackImport');
+
+// Embed durations can differ slightly from the stored duration
+const DURATION_TOLERANCE_MS = 1500;
+
+/**
+ * Find the one track whose duration matches
+ *
+ * @param {number} duration - Reported duration (ms)
+ * @param {Object[]} tracks - Candidate tracks ({ durationMs })
+ * @returns {Object|null} Closest track, or null if none or ambiguous
+ */
+function matchByDuration(duration, tracks) {
+  if (!duration) return null;
+
+  const candidates = tracks
+    .map(track => ({ track, diff: Math.abs((track.durationMs || 0) - duration) }))
+    .filter(({ diff }) => diff <= DURATION_TOLERANCE_MS)
+    .sort((a, b) => a.diff - b.diff);
+
+  // Two tracks equally close - don't guess
+  if (candidates.length === 0 || candidates[1]?.diff === candidates[0].diff) {
+    return null;
+  }
+
+  return candidates[0].track;
+}
+
+/**
+ * Resolve the playing track from playback_update data
+ *
+ * @param {Object} data - playback_update event data ({ uri, duration })
+ * @param {Object[]} tracks - Main playlist tracks, as in /api/stats main.tracks
+ *   ({ id, name, artists, durationMs })
+ * @returns {Object|null} { id, name, artists, matchedBy: 'uri'|'duration' }, or null
+ *   name/artists are null for a URI that isn't in the playlist data
+ */
+function resolvePlayingTrack(data, tracks = []) {
+  if (!data) return null;
+
+  // Newer embed versions report the URI as playingURI
+  const id = parseSpotifyTrackId(data.uri || data.playingURI);
+  if (id) {
+    const track = tracks.find(t => t.id === id);
+    return {
+      id,
+      name: track?.name || null,
+      artists: track?.artists || null,
+      matchedBy: 'uri',
+    };
+  }
+
+  const track = matchByDuration(data.duration, tracks);
+  if (!track) return null;
+
+  return {
+    id: track.id,
+    name: track.name,
+    artists: track.artists,
+    matchedBy: 'duration',
+  };
+}
+
+module.exports = {
+  matchByDuration,
+  resolvePlayingTrack,
+};
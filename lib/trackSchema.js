@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Track schema
+ * Validates and normalizes the track shape used by lib/playlistData.js
+ *
+ * Track shape: { id, name, artists[], duration_ms, added_at }
+ */
+
+// Spotify IDs are 22 base62 characters
+const SPOTIFY_ID_PATTERN = /^[A-Za-z0-9]{22}$/;
+
+// ISO 8601 date, optionally with time and timezone (e.g. 2026-02-01T12:00:00Z)
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+// Fields a curator is allowed to set on a track
+const TRACK_FIELDS = ['id', 'name', 'artists', 'duration_ms', 'added_at'];
+
+/**
+ * Check whether a string is a Spotify ID (track, playlist, etc.)
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isSpotifyId(id) {
+  return typeof id === 'string' && SPOTIFY_ID_PATTERN.test(id);
+}
+
+/**
+ * Check whether a value is a parseable ISO 8601 date string
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isIsoDate(value) {
+  return typeof value === 'string' &&
+    ISO_DATE_PATTERN.test(value) &&
+    !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Validate a track object
+ *
+ * @param {Object} track - Track to validate
+ * @returns {string[]} List of problems (empty if valid)
+ */
+function validateTrack(track) {
+  if (!track || typeof track !== 'object' || Array.isArray(track)) {
+    return ['track must be an object'];
+  }
+
+  const errors = [];
+
+  if (!isSpotifyId(track.id)) {
+    errors.push('id must be a Spotify track ID (22 letters/digits)');
+  }
+
+  if (typeof track.name !== 'string' || !track.name.trim()) {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (
+    !Array.isArray(track.artists) ||
+    track.artists.length === 0 ||
+    track.artists.some(artist => typeof artist !== 'string' || !artist.trim())
+  ) {
+    errors.push('artists must be a non-empty array of strings');
+  }
+
+  if (!Number.isInteger(track.duration_ms) || track.duration_ms <= 0) {
+    errors.push('duration_ms must be a positive integer');
+  }
+
+  if (!isIsoDate(track.added_at)) {
+    errors.push('added_at must be an ISO date string');
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize a track: keep known fields, trim strings
+ *
+ * @param {Object} track - Raw track input
+ * @returns {Object} Track with only schema fields
+ */
+function normalizeTrack(track) {
+  return {
+    id: String(track.id).trim(),
+    name: String(track.name).trim(),
+    artists: track.artists.map(artist => artist.trim()),
+    duration_ms: track.duration_ms,
+    added_at: new Date(track.added_at).toISOString(),
+  };
+}
+
+module.exports = {
+  TRACK_FIELDS,
+  isSpotifyId,
+  isIsoDate,
+  validateTrack,
+  normalizeTrack,
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Visitor identification for vote dedupe
+ * Builds one hashed fingerprint from client IP + user-agent + a signed cookie
+ *
+ * The cookie holds a random visitor ID (signed, HttpOnly), so visitors who
+ * share an IP and browser (NAT, campus, mobile carriers) still count
+ * separately.
+ *
+ * Only HMAC hashes are stored, never raw IPs.
+ * Secret: VOTE_SECRET (falls back to the KV token, which is already private)
+ */
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'dd_vid';
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60; // 1 year, in seconds
+
+/**
+ * Get the signing secret
+ * @returns {string} Secret
+ */
+function getSecret() {
+  const secret = process.env.VOTE_SECRET || process.env.KV_REST_API_TOKEN;
+  if (!secret) {
+    throw new Error('VOTE_SECRET not configured (set it or configure Vercel KV)');
+  }
+  return secret;
+}
+
+/**
+ * HMAC a value with the vote secret
+ * @param {string} value
+ * @returns {string} Hex digest
+ */
+function hmac(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('hex');
+}
+
+/**
+ * Get the client IP (first X-Forwarded-For entry on Vercel)
+ * @param {Object} req - Next.js request object
+ * @returns {string} IP address
+ */
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return String(forwarded).split(',')[0].trim();
+  }
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Read the visitor ID from the signed cookie
+ * @param {Object} req - Next.js request object
+ * @returns {string|null} Visitor ID, or null if missing or tampered
+ */
+function readVisitorId(req) {
+  const value = req.cookies?.[COOKIE_NAME];
+  if (!value) return null;
+
+  const [id, signature] = value.split('.');
+  if (!id || !signature) return null;
+
+  const expected = hmac(id).slice(0, 32);
+  if (signature.length !== expected.length) return null;
+
+  return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ? id : null;
+}
+
+/**
+ * Get the visitor ID, issuing a new signed cookie if needed
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ * @returns {string} Visitor ID
+ */
+function getOrCreateVisitorId(req, res) {
+  const existing = readVisitorId(req);
+  if (existing) return existing;
+
+  const id = crypto.randomBytes(16).toString('hex');
+  const signed = `${id}.${hmac(id).slice(0, 32)}`;
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+
+  res.setHeader(
+    'Set-Cookie',
+    `${COOKIE_NAME}=${signed}; Path=/; Max-Age=${COOKIE_MAX_AGE}; HttpOnly; SameSite=Lax${secure}`
+  );
+
+  return id;
+}
+
+/**
+ * Get the hashed fingerprint for the current visitor
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object (to set the cookie)
+ * @returns {string} Fingerprint
+ */
+function getVisitorFingerprint(req, res) {
+  const visitorId = getOrCreateVisitorId(req, res);
+  const userAgent = req.headers['user-agent'] || '';
+
+  return hmac(`${getClientIp(req)}|${userAgent}|${visitorId}`);
+}
+
+/**
+ * Get a hashed fingerprint of the client network (IP + user-agent)
+ * Unlike getVisitorFingerprint it can't be reset by dropping the cookie,
+ * so it suits abuse limits where grouping a shared network is acceptable.
+ *
+ * @param {Object} req - Next.js request object
+ * @returns {string} Fingerprint
+ */
+function getNetworkFingerprint(req) {
+  const userAgent = req.headers['user-agent'] || '';
+  return hmac(`net|${getClientIp(req)}|${userAgent}`).slice(0, 32);
+}
+
+module.exports = {
+  hmac,
+  getClientIp,
+  getVisitorFingerprint,
+  getNetworkFingerprint,
+};
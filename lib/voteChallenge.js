@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Bot checks for vote submission
+ * A honeypot field, plus an optional proof-of-work challenge
+ *
+ * Honeypot: the voting form sends a hidden `website` field that people
+ * never see or fill in. Ballots with it filled are rejected.
+ *
+ * Proof of work: set VOTE_POW_DIFFICULTY (leading zero bits, e.g. 16) to
+ * require one. GET /api/vote hands out a signed challenge token; the
+ * browser finds a nonce (see utils/proofOfWork) and POSTs it with the
+ * ballot. Each token is single-use (votes:pow:<id> in KV) and expires
+ * after CHALLENGE_TTL_SECONDS. Unset or 0 turns it off.
+ */
+
+const crypto = require('crypto');
+const { kv } = require('@vercel/kv');
+const { hmac } = require('./visitor');
+const { countLeadingZeroBits } = require('../utils/proofOfWork');
+
+const HONEYPOT_FIELD = 'website';
+
+const CHALLENGE_TTL_SECONDS = 30 * 60;
+
+/**
+ * Check whether the honeypot field was filled in
+ * @param {Object} body - Request body
+ * @returns {boolean} True if this looks like a bot
+ */
+function isHoneypotFilled(body) {
+  const value = body?.[HONEYPOT_FIELD];
+  return typeof value === 'string' ? value.trim() !== '' : Boolean(value);
+}
+
+/**
+ * Get the configured proof-of-work difficulty
+ * @returns {number} Leading zero bits required (0 = off)
+ */
+function getPowDifficulty() {
+  const bits = parseInt(process.env.VOTE_POW_DIFFICULTY, 10);
+  return bits > 0 ? Math.min(bits, 32) : 0;
+}
+
+/**
+ * Sign a challenge ID and difficulty
+ * @param {string} id - Challenge ID ("<issuedAt>.<random>")
+ * @param {number} difficulty - Leading zero bits
+ * @returns {string} Signature
+ */
+function signChallenge(id, difficulty) {
+  return hmac(`pow|${id}|${difficulty}`).slice(0, 32);
+}
+
+/**
+ * Check a challenge signature in constant time
+ * @param {string} signature - Signature from the token
+ * @param {string} id - Challenge ID
+ * @param {number} difficulty - Leading zero bits
+ * @returns {boolean} True if the signature matches
+ */
+function isValidSignature(signature, id, difficulty) {
+  const given = Buffer.from(String(signature || ''));
+  const expected = Buffer.from(signChallenge(id, difficulty));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Create a new challenge, if proof of work is enabled
+ * @returns {Object|null} { token, difficulty }, or null when off
+ */
+function createChallenge() {
+  const difficulty = getPowDifficulty();
+  if (!difficulty) return null;
+
+  const id = `${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+
+  return {
+    token: `${id}.${signChallenge(id, difficulty)}`,
+    difficulty,
+  };
+}
+
+/**
+ * Verify a solved challenge and mark it used
+ *
+ * @param {string} token - Challenge token from createChallenge
+ * @param {number|string} nonce - Client's solution
+ * @returns {Promise<string|null>} Error message, or null if valid (or off)
+ */
+async function verifyChallenge(token, nonce) {
+  const difficulty = getPowDifficulty();
+  if (!difficulty) return null;
+
+  if (typeof token !== 'string' || nonce === undefined || nonce === null) {
+    return 'Challenge required';
+  }
+
+  const [issuedAt, random, signature] = token.split('.');
+  const id = `${issuedAt}.${random}`;
+
+  if (!isValidSignature(signature, id, difficulty)) {
+    return 'Invalid challenge';
+  }
+
+  if (Date.now() - Number(issuedAt) > CHALLENGE_TTL_SECONDS * 1000) {
+    return 'Challenge expired';
+  }
+
+  const digest = crypto.createHash('sha256').update(`${token}:${nonce}`).digest();
+  if (countLeadingZeroBits(digest) < difficulty) {
+    return 'Challenge not solved';
+  }
+
+  // Single use - a solved token can't be replayed for more votes
+  const fresh = await kv.set(`votes:pow:${random}`, 1, { nx: true, ex: CHALLENGE_TTL_SECONDS });
+  if (!fresh) {
+    return 'Challenge already used';
+  }
+
+  return null;
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  isHoneypotFilled,
+  createChallenge,
+  verifyChallenge,
+};
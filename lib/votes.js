@@ -0,0 +1,543 @@
+/**
+ * @fileoverview Track of the Month vote storage
+ * Shared KV helpers for the voting API and monthly rollover
+ *
+ * Keys:
+ * - votes:YYYY-MM:config  Voting settings for the month ({ mode, opensAt, closesAt })
+ * - votes:YYYY-MM:counts  Live tally hash (trackId → vote count, HINCRBY)
+ * - votes:YYYY-MM:ballots Ranked ballots list (JSON arrays of trackIds, RPUSH)
+ * - votes:YYYY-MM:tracks  Track metadata hash (trackId → { trackName, artists })
+ * - votes:final:YYYY-MM   Finalized results, kept permanently
+ * - votes:final:months    Set of finalized months (for history)
+ * - voters:YYYY-MM        Visitor fingerprint → trackId (one vote each)
+ *
+ * Modes (per month, default single):
+ * - single: one track per ballot, most votes wins
+ * - ranked: up to MAX_RANKS tracks in order, instant-runoff tally
+ *
+ * Voting window (per month): ballots are only accepted between opensAt and
+ * closesAt, and results stay hidden until closesAt. By default the window
+ * runs from day VOTING_OPEN_DAY (env, default 1) to the end of the month,
+ * midnight to midnight in STATS_TIME_ZONE (see lib/months).
+ *
+ * Counts are only ever changed with HINCRBY and ballots with RPUSH, so
+ * concurrent votes can't overwrite each other. Months recorded before that used a single
+ * votes:YYYY-MM hash of JSON values; those are migrated on first access.
+ *
+ * REQUIRES: @vercel/kv configured in Vercel project settings
+ */
+
+const { kv: defaultKv } = require('@vercel/kv');
+const { computeInstantRunoff } = require('./rankedChoice');
+const { createDataError } = require('./errors');
+const {
+  getMonthKey,
+  shiftMonth,
+  getDaysInMonth,
+  getDayStart,
+} = require('./months');
+
+// Live vote data expires after 60 days (finalized results are kept)
+const VOTE_TTL_SECONDS = 60 * 24 * 60 * 60;
+
+const FINAL_INDEX_KEY = 'votes:final:months';
+
+const VOTE_MODES = ['single', 'ranked'];
+
+// Most tracks a ranked ballot may list
+const MAX_RANKS = 3;
+
+// Settings used for months without a stored config
+const DEFAULT_CONFIG = { mode: 'single' };
+
+// Legacy migration: how long its lock lasts, and how long readers wait on it
+const MIGRATION_LOCK_MS = 10 * 1000;
+const MIGRATION_WAIT_MS = 5 * 1000;
+const MIGRATION_POLL_MS = 100;
+
+// KV client (overridable, e.g. with an in-memory stand-in in tests)
+let kv = defaultKv;
+
+/**
+ * Override the KV client
+ * @param {Object|null} client - Client to use, or null to reset to @vercel/kv
+ */
+function setKvClient(client) {
+  kv = client || defaultKv;
+}
+
+/**
+ * Get the default voting window for a month
+ * Opens on VOTING_OPEN_DAY (default 1st, clamped to the month's last day),
+ * closes when the month ends
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {Object} { opensAt, closesAt } as ISO strings
+ */
+function getDefaultWindow(month) {
+  const configured = process.env.VOTING_OPEN_DAY;
+  const openDay = configured ? Number(configured) : 1;
+
+  if (!Number.isInteger(openDay) || openDay < 1) {
+    throw new Error(`VOTING_OPEN_DAY must be a day of the month (got ${configured})`);
+  }
+
+  const day = String(Math.min(openDay, getDaysInMonth(month))).padStart(2, '0');
+
+  return {
+    opensAt: getDayStart(`${month}-${day}`).toISOString(),
+    closesAt: getDayStart(`${shiftMonth(month, 1)}-01`).toISOString(),
+  };
+}
+
+/**
+ * Get where a voting window stands at a given time
+ *
+ * @param {Object} config - { opensAt, closesAt }
+ * @param {Date} now - Defaults to now
+ * @returns {string} 'upcoming', 'open' or 'closed'
+ */
+function getVotingStatus({ opensAt, closesAt }, now = new Date()) {
+  if (now < new Date(opensAt)) return 'upcoming';
+  if (now >= new Date(closesAt)) return 'closed';
+  return 'open';
+}
+
+/**
+ * Get the key for a month's vote counts
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} Redis key
+ */
+function getCountsKey(month) {
+  return `votes:${month}:counts`;
+}
+
+/**
+ * Get the key for a month's ranked ballots
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} Redis key
+ */
+function getBallotsKey(month) {
+  return `votes:${month}:ballots`;
+}
+
+/**
+ * Get the key for a month's voting settings
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} Redis key
+ */
+function getConfigKey(month) {
+  return `votes:${month}:config`;
+}
+
+/**
+ * Get the key for a month's voted track metadata
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} Redis key
+ */
+function getTracksKey(month) {
+  return `votes:${month}:tracks`;
+}
+
+/**
+ * Get the legacy (pre-HINCRBY) key for a month's votes
+ * Format: votes:YYYY-MM
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} Redis key
+ */
+function getLegacyVoteKey(month) {
+  return `votes:${month}`;
+}
+
+/**
+ * Parse a stored JSON value (the KV client may already have parsed it)
+ * @param {string|Object|null} value
+ * @returns {Object|null}
+ */
+function parseStored(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value || null;
+}
+
+/**
+ * Get the key for a month's finalized results
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} Redis key
+ */
+function getFinalKey(month) {
+  return `votes:final:${month}`;
+}
+
+/**
+ * Get the key for a month's voter fingerprints
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} Redis key
+ */
+function getVotersKey(month) {
+  return `voters:${month}`;
+}
+
+/**
+ * Find the track a visitor already voted for this month
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {string} fingerprint - Hashed visitor fingerprint
+ * @returns {Promise<string|null>} Track ID, or null if they haven't voted
+ */
+async function findVisitorVote(month, fingerprint) {
+  return await kv.hget(getVotersKey(month), fingerprint) || null;
+}
+
+/**
+ * Record that a visitor voted, unless they already have
+ * Uses HSETNX so two simultaneous votes from one visitor can't both win.
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {string} fingerprint - Hashed visitor fingerprint
+ * @param {string} trackId - Track being voted for
+ * @returns {Promise<string|null>} null if claimed, else the track ID already voted for
+ */
+async function claimVote(month, fingerprint, trackId) {
+  const votersKey = getVotersKey(month);
+
+  if (!await kv.hsetnx(votersKey, fingerprint, trackId)) {
+    return await kv.hget(votersKey, fingerprint) || trackId;
+  }
+
+  await kv.expire(votersKey, VOTE_TTL_SECONDS);
+  return null;
+}
+
+/**
+ * Undo a visitor's claim (when their vote couldn't be recorded)
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {string} fingerprint - Hashed visitor fingerprint
+ */
+async function releaseVote(month, fingerprint) {
+  await kv.hdel(getVotersKey(month), fingerprint);
+}
+
+/**
+ * Copy a claimed legacy hash into the counts/tracks hashes
+ * Runs as one MULTI, so the copy is all-or-nothing: if it never commits,
+ * the claimed key is still there to resume from.
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {string} claimKey - Renamed legacy key
+ * @returns {Promise<number>} Number of tracks migrated
+ */
+async function copyLegacyVotes(month, claimKey) {
+  const legacy = await kv.hgetall(claimKey) || {};
+  const entries = Object.entries(legacy);
+  const tx = kv.multi();
+
+  entries.forEach(([trackId, data]) => {
+    const parsed = parseStored(data);
+    tx.hset(getTracksKey(month), {
+      [trackId]: JSON.stringify({
+        trackName: parsed.trackName,
+        artists: parsed.artists || [],
+      }),
+    });
+    tx.hincrby(getCountsKey(month), trackId, parsed.votes || 0);
+  });
+
+  tx.expire(getCountsKey(month), VOTE_TTL_SECONDS);
+  tx.expire(getTracksKey(month), VOTE_TTL_SECONDS);
+  tx.del(claimKey);
+  await tx.exec();
+
+  return entries.length;
+}
+
+/**
+ * Move a legacy votes:YYYY-MM hash into the counts/tracks hashes
+ * One caller takes a lock, renames the key to votes:YYYY-MM:migrating and
+ * copies it; everyone else waits until it's done, so nobody reads (or
+ * finalizes) partial counts. A migration that died part way is resumed
+ * from the :migrating key once its lock expires.
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {Promise<number>} Number of tracks migrated (0 if another caller did it)
+ */
+async function migrateLegacyVotes(month) {
+  const legacyKey = getLegacyVoteKey(month);
+  const claimKey = `${legacyKey}:migrating`;
+  const lockKey = `${claimKey}:lock`;
+  const deadline = Date.now() + MIGRATION_WAIT_MS;
+
+  while (await kv.exists(legacyKey, claimKey) > 0) {
+    const locked = await kv.set(lockKey, 1, { nx: true, px: MIGRATION_LOCK_MS });
+
+    if (locked) {
+      try {
+        if (!await kv.exists(claimKey)) {
+          // Finished by another caller since the check above
+          if (!await kv.exists(legacyKey)) return 0;
+          await kv.rename(legacyKey, claimKey);
+        }
+        return await copyLegacyVotes(month, claimKey);
+      } finally {
+        await kv.del(lockKey);
+      }
+    }
+
+    if (Date.now() > deadline) {
+      throw createDataError(`Votes for ${month} are being migrated, try again shortly`, 503);
+    }
+    await new Promise(resolve => setTimeout(resolve, MIGRATION_POLL_MS));
+  }
+
+  return 0;
+}
+
+/**
+ * Get a month's voting settings
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {Promise<Object>} { mode, opensAt, closesAt }
+ */
+async function getVotingConfig(month = getMonthKey()) {
+  const stored = parseStored(await kv.get(getConfigKey(month)));
+  return { ...DEFAULT_CONFIG, ...getDefaultWindow(month), ...stored };
+}
+
+/**
+ * Update a month's voting settings
+ * The mode can't change once votes have been cast that month.
+ * Only explicitly set values are stored; the rest keep their defaults.
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {Object} updates - { mode, opensAt, closesAt }
+ * @returns {Promise<Object>} The new settings
+ */
+async function setVotingConfig(month, updates = {}) {
+  const stored = parseStored(await kv.get(getConfigKey(month))) || {};
+  const current = { ...DEFAULT_CONFIG, ...getDefaultWindow(month), ...stored };
+
+  ['opensAt', 'closesAt'].forEach(field => {
+    if (updates[field] !== undefined && Number.isNaN(Date.parse(updates[field]))) {
+      throw createDataError(`${field} must be an ISO date string`, 400);
+    }
+  });
+
+  if (updates.mode !== undefined && !VOTE_MODES.includes(updates.mode)) {
+    throw createDataError(`mode must be one of: ${VOTE_MODES.join(', ')}`, 400);
+  }
+
+  if (updates.mode !== undefined && updates.mode !== current.mode) {
+    const [counts, ballots] = await Promise.all([
+      kv.hlen(getCountsKey(month)),
+      kv.llen(getBallotsKey(month)),
+    ]);
+
+    if (counts > 0 || ballots > 0) {
+      throw createDataError(`Votes already cast for ${month}; mode can't change`, 409);
+    }
+  }
+
+  const overrides = { ...stored };
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === undefined) return;
+    overrides[key] = key === 'mode' ? value : new Date(value).toISOString();
+  });
+
+  const config = { ...current, ...overrides };
+  if (new Date(config.opensAt) >= new Date(config.closesAt)) {
+    throw createDataError('opensAt must be before closesAt', 400);
+  }
+
+  await kv.set(getConfigKey(month), overrides);
+  return config;
+}
+
+/**
+ * Store track names/artists so results can be shown without playlist data
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {Object[]} tracks - [{ trackId, trackName, artists }]
+ */
+async function saveVotedTracks(month, tracks) {
+  const entries = {};
+  tracks.forEach(({ trackId, trackName, artists }) => {
+    entries[trackId] = JSON.stringify({ trackName, artists: artists || [] });
+  });
+
+  await kv.hset(getTracksKey(month), entries);
+  await kv.expire(getTracksKey(month), VOTE_TTL_SECONDS);
+}
+
+/**
+ * Add a ranked ballot
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {Object[]} ranking - Tracks in preference order [{ trackId, trackName, artists }]
+ * @returns {Promise<number>} Total ballots cast this month
+ */
+async function recordBallot(month, ranking) {
+  await saveVotedTracks(month, ranking);
+
+  const total = await kv.rpush(
+    getBallotsKey(month),
+    JSON.stringify(ranking.map(track => track.trackId))
+  );
+  await kv.expire(getBallotsKey(month), VOTE_TTL_SECONDS);
+
+  return total;
+}
+
+/**
+ * Add one vote for a track
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {Object} track - { trackId, trackName, artists }
+ * @returns {Promise<number>} The track's new vote count
+ */
+async function recordVote(month, { trackId, trackName, artists }) {
+  await migrateLegacyVotes(month);
+
+  await saveVotedTracks(month, [{ trackId, trackName, artists }]);
+  const votes = await kv.hincrby(getCountsKey(month), trackId, 1);
+
+  // Set expiry for 60 days (clean up old votes)
+  await kv.expire(getCountsKey(month), VOTE_TTL_SECONDS);
+
+  return votes;
+}
+
+/**
+ * Get the stored metadata for a voted track
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {string} trackId
+ * @returns {Promise<Object|null>} { trackName, artists } or null
+ */
+async function getVotedTrack(month, trackId) {
+  return parseStored(await kv.hget(getTracksKey(month), trackId));
+}
+
+/**
+ * Read a month's tally, best first
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {Promise<Object>} { mode, results: [{ trackId, trackName, artists, votes }], totalVotes, rounds? }
+ *   For ranked months, votes is each track's count in its last runoff round
+ */
+async function getVoteTally(month = getMonthKey()) {
+  await migrateLegacyVotes(month);
+
+  const [config, tracks] = await Promise.all([
+    getVotingConfig(month),
+    kv.hgetall(getTracksKey(month)),
+  ]);
+
+  const withTrack = ({ trackId, votes }) => {
+    const track = parseStored(tracks?.[trackId]) || {};
+    return {
+      trackId,
+      trackName: track.trackName,
+      artists: track.artists || [],
+      votes,
+    };
+  };
+
+  if (config.mode === 'ranked') {
+    const stored = await kv.lrange(getBallotsKey(month), 0, -1) || [];
+    const ballots = stored.map(parseStored);
+    const { order, rounds } = computeInstantRunoff(ballots);
+
+    return {
+      mode: 'ranked',
+      results: order.map(withTrack),
+      totalVotes: ballots.length,
+      rounds,
+    };
+  }
+
+  const counts = await kv.hgetall(getCountsKey(month)) || {};
+  const results = Object.entries(counts)
+    .map(([trackId, count]) => withTrack({ trackId, votes: Number(count) || 0 }))
+    .sort((a, b) => b.votes - a.votes);
+
+  return {
+    mode: 'single',
+    results,
+    totalVotes: results.reduce((sum, item) => sum + item.votes, 0),
+  };
+}
+
+/**
+ * Finalize a month's vote tally
+ * Stores the results permanently so they survive the live key's expiry.
+ * Calling it again for the same month returns the existing record.
+ *
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {Promise<Object>} { month, mode, results[], winner, totalVotes, rounds?, finalizedAt }
+ */
+async function finalizeVotes(month) {
+  const existing = parseStored(await kv.get(getFinalKey(month)));
+  if (existing) return existing;
+
+  const tally = await getVoteTally(month);
+  const record = {
+    month,
+    ...tally,
+    winner: tally.results[0] || null,
+    finalizedAt: new Date().toISOString(),
+  };
+
+  await kv.set(getFinalKey(month), record);
+  await kv.sadd(FINAL_INDEX_KEY, month);
+  return record;
+}
+
+/**
+ * Get a past month's final results
+ * Finalizes on demand if the month closed without a rollover
+ * (as long as its live tally hasn't expired yet).
+ *
+ * @param {string} month - Month key (YYYY-MM), before the current month
+ * @returns {Promise<Object|null>} Finalized record, or null if no votes
+ */
+async function getFinalizedVotes(month) {
+  const existing = parseStored(await kv.get(getFinalKey(month)));
+  if (existing) return existing;
+
+  const { results } = await getVoteTally(month);
+  if (results.length === 0) return null;
+
+  return finalizeVotes(month);
+}
+
+/**
+ * Get every finalized month, newest first
+ * @returns {Promise<Object[]>} Finalized records
+ */
+async function getVoteHistory() {
+  const months = await kv.smembers(FINAL_INDEX_KEY) || [];
+  if (months.length === 0) return [];
+
+  const sorted = [...months].sort().reverse();
+  const records = await kv.mget(...sorted.map(getFinalKey));
+
+  return records.map(parseStored).filter(Boolean);
+}
+
+module.exports = {
+  MAX_RANKS,
+  getVoteTally,
+  getVotedTrack,
+  getVotingConfig,
+  setVotingConfig,
+  getVotingStatus,
+  recordVote,
+  recordBallot,
+  migrateLegacyVotes,
+  finalizeVotes,
+  getFinalizedVotes,
+  getVoteHistory,
+  findVisitorVote,
+  claimVote,
+  releaseVote,
+  setKvClient,
+};
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Admin bulk import page
+ * Curators paste Spotify links or a CSV export to add tracks
+ */
+
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { formatDuration } from '../../utils/formatters';
+import { MAIN_PLAYLIST_ID } from '../../lib/playlistData';
+
+// sessionStorage key for the admin token
+const TOKEN_KEY = 'dd-admin-token';
+
+/**
+ * Bulk import page - preview then import tracks
+ *
+ * @param {Object} props
+ * @param {string} props.mainPlaylistId - Default import target
+ */
+export default function ImportPage({ mainPlaylistId }) {
+  const [token, setToken] = useState('');
+  const [playlistId, setPlaylistId] = useState(mainPlaylistId);
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Restore token for this browser session
+  useEffect(() => {
+    setToken(sessionStorage.getItem(TOKEN_KEY) || '');
+  }, []);
+
+  /**
+   * Send the pasted text to the import API
+   *
+   * @param {boolean} dryRun - Preview only, don't save
+   */
+  async function submit(dryRun) {
+    setSubmitting(true);
+    setError(null);
+    sessionStorage.setItem(TOKEN_KEY, token);
+
+    try {
+      const res = await fetch('/api/admin/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ playlistId, text, dryRun }),
+      });
+
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Import failed');
+      }
+
+      setResult(data);
+    } catch (err) {
+      setError(err.message);
+      setResult(null);
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Import Tracks · Digital Diggaz</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <main className="min-h-screen py-8 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-4xl mx-auto space-y-6">
+          <div className="card space-y-4">
+            <h1 className="text-2xl font-bold">Import Tracks</h1>
+
+            <p className="text-spotify-lightgray text-sm">
+              Paste one track per line as{' '}
+              <code className="text-white">link | name | artist 1, artist 2 | 3:30</code>
+              {' '}(share link or <code className="text-white">spotify:track:</code> URI),
+              or paste a CSV export with a header row (e.g. Exportify).
+              A bare link takes its details from the same track in any playlist;
+              otherwise it's saved as pending until you import it again with details.
+            </p>
+
+            {/* Admin token */}
+            <label className="block text-sm">
+              <span className="text-spotify-lightgray">Admin token</span>
+              <input
+                type="password"
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+                className="mt-1 w-full bg-zinc-800 rounded-lg p-2 text-white"
+              />
+            </label>
+
+            {/* Target playlist */}
+            <label className="block text-sm">
+              <span className="text-spotify-lightgray">Playlist ID</span>
+              <input
+                type="text"
+                value={playlistId}
+                onChange={(e) => setPlaylistId(e.target.value)}
+                className="mt-1 w-full bg-zinc-800 rounded-lg p-2 text-white font-mono"
+              />
+            </label>
+
+            {/* Pasted links / CSV */}
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={10}
+              placeholder="https://open.spotify.com/track/... | Track Name | Artist | 3:30"
+              className="w-full bg-zinc-800 rounded-lg p-3 text-white font-mono text-sm"
+            />
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => submit(true)}
+                disabled={submitting || !text.trim()}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Preview
+              </button>
+              <button
+                onClick={() => submit(false)}
+                disabled={submitting || !text.trim()}
+                className="btn-spotify disabled:opacity-50"
+              >
+                {submitting ? 'Working...' : 'Import'}
+              </button>
+            </div>
+
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+          </div>
+
+          {/* Results */}
+          {result && (
+            <div className="card space-y-4">
+              <h2 className="text-xl font-bold">
+                {result.dryRun ? 'Preview' : 'Imported'}: {result.imported.length} tracks
+              </h2>
+
+              {result.imported.length > 0 && (
+                <ul className="space-y-1">
+                  {result.imported.map((track) => (
+                    <li key={track.id} className="track-item">
+                      <div className="flex-1 min-w-0">
+                        <p className="text-white font-medium truncate">{track.name}</p>
+                        <p className="text-spotify-lightgray text-sm truncate">
+                          {track.artists.join(', ')}
+                        </p>
+                      </div>
+                      <span className="text-spotify-gray text-sm">
+                        {formatDuration(track.duration_ms)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {result.pending.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-medium text-yellow-400 mb-2">
+                    Needs details ({result.pending.length})
+                  </h3>
+                  <p className="text-sm text-spotify-lightgray mb-2">
+                    Not in any playlist yet, so saved as pending (not counted in stats).
+                    Import these again as full lines to complete them.
+                  </p>
+                  <ul className="text-sm text-spotify-lightgray space-y-1">
+                    {result.pending.map((link) => (
+                      <li key={`${link.line}-${link.id}`}>
+                        Line {link.line}: {link.id}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {result.duplicates.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-medium text-yellow-400 mb-2">
+                    Already present ({result.duplicates.length})
+                  </h3>
+                  <ul className="text-sm text-spotify-lightgray space-y-1">
+                    {result.duplicates.map((dup) => (
+                      <li key={`${dup.line}-${dup.id}`}>
+                        Line {dup.line}: {dup.name ? `${dup.name} ` : ''}({dup.id})
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {result.malformed.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-medium text-red-400 mb-2">
+                    Malformed rows ({result.malformed.length})
+                  </h3>
+                  <ul className="text-sm text-spotify-lightgray space-y-1">
+                    {result.malformed.map((row) => (
+                      <li key={row.line}>
+                        Line {row.line}: {row.errors.join('; ')}
+                        <br />
+                        <code className="text-spotify-gray break-all">{row.input}</code>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
+
+/**
+ * Pass the main playlist ID in as a prop, so the playlist data module
+ * (and its storage backends) stay out of the browser bundle
+ */
+export async function getStaticProps() {
+  return { props: { mainPlaylistId: MAIN_PLAYLIST_ID } };
+}
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Data health endpoint
+ * Returns the playlist data integrity report
+ *
+ * GET /api/admin/health
+ *
+ * Same checks as `npm run check:data` (see lib/dataIntegrity.js).
+ *
+ * REQUIRES: ADMIN_TOKEN
+ */
+
+import { buildIntegrityReport } from '../../../lib/dataIntegrity';
+import { requireAdmin } from '../../../lib/adminAuth';
+
+/**
+ * API handler for GET /api/admin/health
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    const report = await buildIntegrityReport();
+
+    // Never cache - curators check this right after editing
+    res.setHeader('Cache-Control', 'no-store');
+
+    return res.status(200).json(report);
+
+  } catch (error) {
+    console.error('[Health] Error:', error.message);
+
+    return res.status(500).json({
+      error: 'Failed to check playlist data',
+      message: error.message,
+    });
+  }
+}
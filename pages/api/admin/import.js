@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Admin bulk import endpoint
+ * Adds many tracks at once from pasted Spotify links or a CSV export
+ *
+ * POST /api/admin/import - { playlistId, text, addedAt, dryRun }
+ *
+ * Returns { imported[], pending[], duplicates[], malformed[] } so curators
+ * can fix bad rows. Bare links to tracks not stored in any playlist come
+ * back as pending: saved without details, to be completed later.
+ * With dryRun: true nothing is saved.
+ *
+ * REQUIRES: ADMIN_TOKEN
+ */
+
+import { MAIN_PLAYLIST_ID, addTracks } from '../../../lib/playlistData';
+import { parseImportText } from '../../../lib/trackImport';
+import { requireAdmin } from '../../../lib/adminAuth';
+import { revalidateStatsPages } from '../../../lib/revalidate';
+
+/**
+ * API handler for bulk track import
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  const { text, addedAt, dryRun = false } = req.body || {};
+  const playlistId = req.body?.playlistId || MAIN_PLAYLIST_ID;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'text required' });
+  }
+
+  if (addedAt && Number.isNaN(Date.parse(addedAt))) {
+    return res.status(400).json({ error: 'addedAt must be an ISO date string' });
+  }
+
+  try {
+    const parsed = parseImportText(text, {
+      addedAt: addedAt ? new Date(addedAt).toISOString() : undefined,
+    });
+
+    const lineByTrack = new Map([
+      ...parsed.tracks.map(({ line, track }) => [track, line]),
+      ...parsed.links.map(link => [link, link.line]),
+    ]);
+    const { added, pending, duplicates } = await addTracks(
+      playlistId,
+      parsed.tracks.map(({ track }) => track),
+      { links: parsed.links, dryRun: Boolean(dryRun) }
+    );
+
+    if (!dryRun && added.length > 0) {
+      await revalidateStatsPages(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      dryRun: Boolean(dryRun),
+      playlistId,
+      format: parsed.format,
+      imported: added,
+      pending: pending.map(link => ({ line: link.line, id: link.id })),
+      duplicates: duplicates.map(track => ({
+        line: lineByTrack.get(track),
+        id: track.id,
+        name: track.name || null,
+      })),
+      malformed: parsed.malformed,
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('[Admin Import] Error:', error.message);
+
+    if (error.message.includes('KV')) {
+      return res.status(503).json({
+        error: 'Track storage not available',
+        message: 'Vercel KV not configured',
+      });
+    }
+
+    return res.status(500).json({ error: 'Failed to import tracks' });
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview On-demand revalidation endpoint
+ * Rebuilds the static stats pages now instead of on the next timed rebuild
+ *
+ * POST /api/admin/revalidate
+ *
+ * Admin track edits, imports and rollovers revalidate automatically;
+ * use this after editing data some other way (e.g. directly in KV).
+ *
+ * REQUIRES: ADMIN_TOKEN
+ */
+
+import { requireAdmin } from '../../../lib/adminAuth';
+import { revalidateStatsPages } from '../../../lib/revalidate';
+
+/**
+ * API handler for POST /api/admin/revalidate
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  const { revalidated, failed } = await revalidateStatsPages(res);
+
+  if (failed.length > 0) {
+    return res.status(500).json({ error: 'Failed to revalidate pages', revalidated, failed });
+  }
+
+  return res.status(200).json({ success: true, revalidated });
+}
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Monthly rollover endpoint
+ * Archives the main playlist for a month and finalizes its vote
+ *
+ * GET  /api/admin/rollover - Vercel cron (archives last month)
+ * POST /api/admin/rollover - Manual run { month, playlistId, name }
+ *
+ * playlistId should be the Spotify ID of the monthly playlist if one
+ * exists; otherwise an "archive-YYYY-MM" ID is used.
+ *
+ * Responds 500 if the archive was saved but the votes couldn't be
+ * finalized; running it again skips the archive and retries finalization.
+ *
+ * REQUIRES: ADMIN_TOKEN (manual) or CRON_SECRET (cron)
+ */
+
+import { rolloverMonth } from '../../../lib/rollover';
+import { requireAdmin } from '../../../lib/adminAuth';
+import { revalidateStatsPages } from '../../../lib/revalidate';
+
+/**
+ * API handler for monthly rollover
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAdmin(req, res, { allowCron: true })) return;
+
+  // Cron requests have no body - use defaults (last month)
+  const { month, playlistId, name } = req.method === 'POST' ? req.body || {} : {};
+
+  try {
+    const result = await rolloverMonth({ month, playlistId, name });
+
+    if (result.archived) {
+      console.log(`[Rollover] Archived ${result.month} as ${result.playlist.id}`);
+      await revalidateStatsPages(res);
+    }
+
+    if (result.votesError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Votes could not be finalized; run the rollover again to retry',
+        ...result,
+      });
+    }
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('[Rollover] Error:', error.message);
+
+    if (error.message.includes('KV')) {
+      return res.status(503).json({
+        error: 'Track storage not available',
+        message: 'Vercel KV not configured',
+      });
+    }
+
+    return res.status(500).json({ error: 'Rollover failed' });
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Admin track management endpoint
+ * Lets curators edit playlist tracks without git access
+ *
+ * POST   /api/admin/tracks - Add a track { playlistId, track }
+ * PATCH  /api/admin/tracks - Edit a track { playlistId, trackId, updates }
+ * DELETE /api/admin/tracks - Remove a track { playlistId, trackId }
+ *
+ * playlistId defaults to the main playlist.
+ *
+ * REQUIRES: ADMIN_TOKEN, and PLAYLIST_STORE=kv on Vercel
+ * (the JSON file store is read-only once deployed)
+ */
+
+import {
+  MAIN_PLAYLIST_ID,
+  addTrack,
+  updateTrack,
+  removeTrack,
+} from '../../../lib/playlistData';
+import { requireAdmin } from '../../../lib/adminAuth';
+import { revalidateStatsPages } from '../../../lib/revalidate';
+
+/**
+ * API handler for admin track edits
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+export default async function handler(req, res) {
+  if (!['POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'POST, PATCH, DELETE');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  // DELETE may send its params in the query string
+  const body = { ...req.query, ...(req.body || {}) };
+  const playlistId = body.playlistId || MAIN_PLAYLIST_ID;
+
+  try {
+    // Handle POST - add track
+    if (req.method === 'POST') {
+      if (!body.track) {
+        return res.status(400).json({ error: 'track required' });
+      }
+
+      const track = await addTrack(playlistId, body.track);
+      await revalidateStatsPages(res);
+      return res.status(201).json({ success: true, playlistId, track });
+    }
+
+    if (!body.trackId) {
+      return res.status(400).json({ error: 'trackId required' });
+    }
+
+    // Handle PATCH - edit track
+    if (req.method === 'PATCH') {
+      const track = await updateTrack(playlistId, body.trackId, body.updates);
+      await revalidateStatsPages(res);
+      return res.status(200).json({ success: true, playlistId, track });
+    }
+
+    // Handle DELETE - remove track
+    const track = await removeTrack(playlistId, body.trackId);
+    await revalidateStatsPages(res);
+    return res.status(200).json({ success: true, playlistId, track });
+
+  } catch (error) {
+    // Data errors carry their own status (400 invalid, 404 missing, 409 duplicate)
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        details: error.details,
+      });
+    }
+
+    console.error(`[Admin Tracks ${req.method}] Error:`, error.message);
+
+    if (error.message.includes('KV')) {
+      return res.status(503).json({
+        error: 'Track storage not available',
+        message: 'Vercel KV not configured',
+      });
+    }
+
+    return res.status(500).json({ error: 'Failed to update tracks' });
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Admin voting settings endpoint
+ * Per-month Track of the Month settings: voting mode and voting window
+ *
+ * GET  /api/admin/voting?month=YYYY-MM - Get a month's settings
+ * POST /api/admin/voting - Update settings { month, mode, opensAt, closesAt }
+ *   mode: 'single' | 'ranked'; opensAt/closesAt: ISO timestamps
+ *
+ * month defaults to the current month. The mode can't change once
+ * votes have been cast that month.
+ *
+ * REQUIRES: ADMIN_TOKEN
+ */
+
+import { getVotingConfig, setVotingConfig } from '../../../lib/votes';
+import { getMonthKey, isMonthKey } from '../../../lib/months';
+import { requireAdmin } from '../../../lib/adminAuth';
+
+/**
+ * API handler for voting settings
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  const params = req.method === 'POST' ? req.body || {} : req.query;
+  const month = params.month || getMonthKey();
+
+  if (!isMonthKey(month)) {
+    return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+  }
+
+  try {
+    // Handle GET - read settings
+    if (req.method === 'GET') {
+      const config = await getVotingConfig(month);
+      return res.status(200).json({ month, ...config });
+    }
+
+    // Handle POST - closed months can't be changed
+    if (month < getMonthKey()) {
+      return res.status(400).json({ error: 'Cannot change settings for a past month' });
+    }
+
+    const config = await setVotingConfig(month, {
+      mode: params.mode,
+      opensAt: params.opensAt,
+      closesAt: params.closesAt,
+    });
+    return res.status(200).json({ success: true, month, ...config });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error(`[Admin Voting ${req.method}] Error:`, error.message);
+
+    if (error.message.includes('KV')) {
+      return res.status(503).json({
+        error: 'Voting not available',
+        message: 'Vercel KV not configured',
+      });
+    }
+
+    return res.status(500).json({ error: 'Failed to update voting settings' });
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Playlist diff API endpoint
+ * Returns what changed between two playlists
+ *
+ * GET /api/diff?from=<playlistId>&to=<playlistId>
+ * Rate limited per IP (60 requests/minute)
+ *
+ * See lib/playlistDiff.js for the response shape.
+ */
+
+import { buildPlaylistDiff } from '../../lib/playlistDiff';
+import { withRateLimit } from '../../lib/rateLimit';
+
+/**
+ * API handler for GET /api/diff
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { from, to } = req.query;
+
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from and to playlist IDs required' });
+  }
+
+  try {
+    const diff = await buildPlaylistDiff(from, to);
+
+    // Cache for 5 minutes
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+
+    return res.status(200).json(diff);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('[Diff] Error:', error.message);
+
+    return res.status(500).json({
+      error: 'Failed to diff playlists',
+      message: error.message,
+    });
+  }
+}
+
+export default withRateLimit(handler, { name: 'diff', limit: 60, windowSeconds: 60 });
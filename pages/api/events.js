@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Embed play-event endpoint
+ * Collects play events from the Spotify embed on the stats page
+ *
+ * POST /api/events - Record a batch { events: [{ type, trackId, playlistId, position, duration, listenedMs }] }
+ * GET /api/events?days=7 - Daily play totals (admin only)
+ *
+ * Events are stored per day in Vercel KV (see lib/playEvents.js).
+ * Rate limited per IP.
+ *
+ * REQUIRES: @vercel/kv configured in Vercel project settings
+ */
+
+import {
+  MAX_BATCH_SIZE,
+  normalizeEvent,
+  recordPlayEvents,
+  getDailySummaries,
+} from '../../lib/playEvents';
+import { requireAdmin } from '../../lib/adminAuth';
+import { withRateLimit } from '../../lib/rateLimit';
+import { getNetworkFingerprint } from '../../lib/visitor';
+
+// Most days GET may ask for (events expire after 90)
+const MAX_DAYS = 90;
+
+/**
+ * API handler for play events
+ *
+ * POST: Store a batch of events. Invalid events are skipped, not rejected,
+ *       so one bad event doesn't lose the rest of the batch. Listens count
+ *       once per client network and track per dedupe window.
+ * GET: Daily totals { days: [{ day, events, plays, pauses, listenedMs }] }
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+async function handler(req, res) {
+  // Handle GET - daily totals for curators
+  if (req.method === 'GET') {
+    if (!requireAdmin(req, res)) return undefined;
+
+    const days = Math.min(parseInt(req.query.days, 10) || 7, MAX_DAYS);
+
+    try {
+      const summaries = await getDailySummaries(Math.max(days, 1));
+      return res.status(200).json({ days: summaries });
+
+    } catch (error) {
+      console.error('[Events GET] Error:', error.message);
+
+      if (error.message.includes('KV')) {
+        return res.status(503).json({
+          error: 'Play events not available',
+          message: 'Vercel KV not configured',
+        });
+      }
+
+      return res.status(500).json({ error: 'Failed to get play events' });
+    }
+  }
+
+  // Handle POST - record a batch
+  if (req.method === 'POST') {
+    const { events } = req.body || {};
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ error: 'events required (non-empty array)' });
+    }
+
+    if (events.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_SIZE} events per batch` });
+    }
+
+    const valid = events.map(normalizeEvent).filter(Boolean);
+
+    try {
+      const { day, stored } = await recordPlayEvents(valid, {
+        listener: getNetworkFingerprint(req),
+      });
+
+      return res.status(200).json({
+        success: true,
+        day,
+        stored,
+        skipped: events.length - stored,
+      });
+
+    } catch (error) {
+      console.error('[Events POST] Error:', error.message);
+
+      // Nothing to store into - tell the client so it stops sending
+      if (error.message.includes('KV')) {
+        return res.status(503).json({
+          error: 'Play events not available',
+          message: 'Vercel KV not configured',
+        });
+      }
+
+      return res.status(500).json({ error: 'Failed to record play events' });
+    }
+  }
+
+  // Method not allowed
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+export default withRateLimit(handler, { name: 'events', limit: 30, windowSeconds: 60 });
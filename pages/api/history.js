@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Playlist history API endpoint
+ * Returns repeat-track and repeat-artist analytics across monthly playlists
+ *
+ * GET /api/history[?limit=10]
+ * Rate limited per IP (60 requests/minute)
+ *
+ * See lib/playlistHistory.js for the response shape.
+ */
+
+import { buildPlaylistHistory } from '../../lib/playlistHistory';
+import { withRateLimit } from '../../lib/rateLimit';
+
+// Cap on entries per list
+const MAX_LIMIT = 50;
+
+/**
+ * API handler for GET /api/history
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, MAX_LIMIT);
+
+  try {
+    const history = await buildPlaylistHistory({ limit });
+
+    // Cache for 5 minutes
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+
+    return res.status(200).json(history);
+
+  } catch (error) {
+    console.error('[History] Error:', error.message);
+
+    return res.status(500).json({
+      error: 'Failed to build playlist history',
+      message: error.message,
+    });
+  }
+}
+
+export default withRateLimit(handler, { name: 'history', limit: 60, windowSeconds: 60 });
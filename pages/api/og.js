@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Open Graph image endpoint
+ * Renders the share card for the stats page as a 1200×630 PNG
+ *
+ * GET /api/og
+ * Used by og:image / twitter:image on the home page.
+ * Rate limited per IP (rendering is the most expensive thing we do).
+ *
+ * Rendered locally with next/og (satori + resvg) and its bundled font -
+ * see lib/shareCard.js for how the card avoids font/emoji downloads.
+ */
+
+import { ImageResponse } from 'next/og';
+import { buildShareCardData } from '../../lib/shareCard';
+import { withRateLimit } from '../../lib/rateLimit';
+import { formatDuration, formatNumber } from '../../utils/formatters';
+
+// Open Graph's recommended size
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+// Brand colors (tailwind.config.js)
+const COLORS = {
+  green: '#1DB954',
+  black: '#191414',
+  white: '#FFFFFF',
+  gray: '#535353',
+  lightgray: '#B3B3B3',
+};
+
+/**
+ * Describe the vote for the card's bottom line
+ * @param {Object|null} vote - From buildShareCardData
+ * @returns {Object|null} { label, text }
+ */
+function getVoteLine(vote) {
+  if (!vote) return null;
+
+  if (vote.leader) {
+    return {
+      label: 'Track of the Month',
+      text: `${vote.leader.trackName} - ${vote.leader.artists.join(', ')}`,
+    };
+  }
+
+  const votes = `${formatNumber(vote.totalVotes)} vote${vote.totalVotes === 1 ? '' : 's'} so far`;
+  if (vote.previousWinner) {
+    const winner = `${vote.previousWinner.trackName} - ${vote.previousWinner.artists.join(', ')}`;
+    return vote.status === 'open'
+      ? { label: `Voting open - ${votes}`, text: `Last month: ${winner}` }
+      : { label: 'Last Track of the Month', text: winner };
+  }
+
+  return vote.status === 'open' ? { label: 'Voting open', text: votes } : null;
+}
+
+/**
+ * Single stat on the card
+ * @param {Object} props - { label, value }
+ */
+function CardStat({ label, value }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', marginRight: 56 }}>
+      <div style={{ fontSize: 26, color: COLORS.lightgray }}>{label}</div>
+      <div style={{ fontSize: 56, color: COLORS.white }}>{value}</div>
+    </div>
+  );
+}
+
+/**
+ * Share card layout
+ * @param {Object} props - From buildShareCardData
+ */
+function ShareCard({ title, coverDataUri, trackCount, durationMs, topArtists, vote }) {
+  const voteLine = getVoteLine(vote);
+
+  return (
+    <div
+      style={{
+        width: '100%',
+        height: '100%',
+        position: 'relative',
+        display: 'flex',
+        padding: 64,
+        background: `linear-gradient(135deg, ${COLORS.black} 0%, #0d3b1f 100%)`,
+      }}
+    >
+      {/* Cover (placeholder if it couldn't be downloaded) */}
+      {coverDataUri ? (
+        <img src={coverDataUri} width={360} height={360} style={{ borderRadius: 16 }} />
+      ) : (
+        <div
+          style={{
+            width: 360,
+            height: 360,
+            borderRadius: 16,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: `linear-gradient(135deg, ${COLORS.green} 0%, #15803d 100%)`,
+            fontSize: 120,
+            color: COLORS.black,
+          }}
+        >
+          DD
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', flex: 1, marginLeft: 56, minWidth: 0 }}>
+        <div style={{ fontSize: 64, color: COLORS.white, marginBottom: 32 }}>{title}</div>
+
+        {/* Track count + total time */}
+        <div style={{ display: 'flex', marginBottom: 32 }}>
+          <CardStat label="Tracks" value={formatNumber(trackCount)} />
+          <CardStat label="Total Time" value={formatDuration(durationMs)} />
+        </div>
+
+        {/* Top three artists */}
+        {topArtists.length > 0 && (
+          <div style={{ display: 'flex', flexDirection: 'column' }}>
+            <div style={{ fontSize: 26, color: COLORS.lightgray }}>Top Artists</div>
+            <div style={{ fontSize: 34, color: COLORS.white }}>{topArtists.join(' · ')}</div>
+          </div>
+        )}
+      </div>
+
+      {/* Vote line along the bottom */}
+      {voteLine && (
+        <div
+          style={{
+            position: 'absolute',
+            left: 64,
+            right: 64,
+            bottom: 40,
+            display: 'flex',
+            fontSize: 28,
+          }}
+        >
+          <div style={{ color: COLORS.green, marginRight: 16 }}>{voteLine.label}</div>
+          <div style={{ color: COLORS.white, flex: 1, overflow: 'hidden', whiteSpace: 'nowrap', textOverflow: 'ellipsis' }}>
+            {voteLine.text}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * API handler for GET /api/og
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const card = await buildShareCardData();
+    const image = new ImageResponse(<ShareCard {...card} />, { width: WIDTH, height: HEIGHT });
+    const png = Buffer.from(await image.arrayBuffer());
+
+    // Cache for 5 minutes, like the stats it shows
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+
+    return res.status(200).send(png);
+
+  } catch (error) {
+    console.error('[OG] Error:', error.message);
+
+    return res.status(500).json({ error: 'Failed to render share image' });
+  }
+}
+
+export default withRateLimit(handler, { name: 'og', limit: 20, windowSeconds: 60 });
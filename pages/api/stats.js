@@ -2,46 +2,36 @@
  * @fileoverview Stats API endpoint
  * Returns computed playlist statistics as JSON
  * 
- * GET /api/stats
+ * GET /api/stats[?month=YYYY-MM]
+ * month picks which calendar month "new tracks" covers (default: current,
+ * in STATS_TIME_ZONE)
+ * Rate limited per IP (60 requests/minute)
  * 
  * NO SPOTIFY API KEYS REQUIRED
- * Uses hardcoded playlist data + Spotify oEmbed for cover image
+ * Uses stored playlist data + Spotify oEmbed for cover image
  */
 
-import { buildStatsFromData, MAIN_PLAYLIST_ID } from '../../lib/playlistData';
-import { getPlaylistEmbed } from '../../lib/spotifyEmbed';
+import { buildStatsWithEmbed } from '../../lib/playlistData';
+import { withRateLimit } from '../../lib/rateLimit';
 
 /**
  * API handler for GET /api/stats
- * Returns stats from hardcoded data + oEmbed cover
+ * Returns stats from the playlist store + oEmbed cover
  * 
  * @param {Object} req - Next.js request object
  * @param {Object} res - Next.js response object
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only allow GET requests
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    console.log('[Stats] Building stats from hardcoded data');
-
-    // Get stats from hardcoded playlist data
-    const stats = buildStatsFromData();
-
-    // Fetch cover image via oEmbed (public, no auth needed)
-    try {
-      const embedData = await getPlaylistEmbed(MAIN_PLAYLIST_ID);
-      if (embedData.thumbnail) {
-        stats.main.coverImage = embedData.thumbnail;
-      }
-      if (embedData.title) {
-        stats.main.name = embedData.title;
-      }
-    } catch (embedError) {
-      console.warn('[Stats] oEmbed fetch failed, using defaults:', embedError.message);
-    }
+    console.log('[Stats] Building stats from playlist store');
+
+    // Get stats from stored playlist data + oEmbed cover
+    const stats = await buildStatsWithEmbed({ month: req.query.month });
 
     // Cache for 5 minutes
     res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
@@ -49,6 +39,10 @@ export default async function handler(req, res) {
     return res.status(200).json(stats);
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('[Stats] Error:', error.message);
 
     return res.status(500).json({ 
@@ -57,3 +51,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withRateLimit(handler, { name: 'stats', limit: 60, windowSeconds: 60 });
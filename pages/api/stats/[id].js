@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Per-playlist stats API endpoint
+ * Returns computed statistics for one playlist as JSON
+ *
+ * GET /api/stats/[id]
+ * Rate limited per IP (60 requests/minute)
+ *
+ * Works for any stored playlist (main, historical, rollover archives)
+ * and any ID in ALL_PLAYLIST_IDS. 404 for unknown playlists.
+ */
+
+import { buildPlaylistStats } from '../../../lib/playlistData';
+import { getPlaylistEmbed } from '../../../lib/spotifyEmbed';
+import { withRateLimit } from '../../../lib/rateLimit';
+
+/**
+ * API handler for GET /api/stats/[id]
+ * Returns stats from the playlist store + oEmbed cover
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+
+  try {
+    const stats = await buildPlaylistStats(id);
+
+    // Cover image via oEmbed - only real Spotify playlists have one
+    if (stats.playlist.url) {
+      const embedData = await getPlaylistEmbed(id);
+      if (embedData.thumbnail) {
+        stats.playlist.coverImage = embedData.thumbnail;
+      }
+    }
+
+    // Cache for 5 minutes
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+
+    return res.status(200).json(stats);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error(`[Stats ${id}] Error:`, error.message);
+
+    return res.status(500).json({
+      error: 'Failed to build playlist stats',
+      message: error.message,
+    });
+  }
+}
+
+export default withRateLimit(handler, { name: 'stats', limit: 60, windowSeconds: 60 });
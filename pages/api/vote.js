@@ -2,71 +2,154 @@
  * @fileoverview Voting API endpoint
  * Handles Track of the Month voting with Vercel KV storage
  * 
- * POST /api/vote - Submit a vote
+ * POST /api/vote - Submit a vote (one per visitor per month, eligible tracks only,
+ *                  while the month's voting window is open)
  * GET /api/vote - Get current vote counts
+ * GET /api/vote?month=YYYY-MM - Get a past month's final results
+ * 
+ * Rate limited per IP; ballots also go through the honeypot and optional
+ * proof-of-work checks in lib/voteChallenge
  * 
  * REQUIRES: @vercel/kv configured in Vercel project settings
  */
 
-import { kv } from '@vercel/kv';
+import {
+  MAX_RANKS,
+  getVoteTally,
+  getVotingConfig,
+  getVotingStatus,
+  getFinalizedVotes,
+  getVotedTrack,
+  recordVote,
+  recordBallot,
+  findVisitorVote,
+  claimVote,
+  releaseVote,
+} from '../../lib/votes';
+import { getMonthKey, isMonthKey } from '../../lib/months';
+import { getVisitorFingerprint } from '../../lib/visitor';
+import { getVotableTracks } from '../../lib/playlistData';
+import { rateLimit, withRateLimit } from '../../lib/rateLimit';
+import {
+  isHoneypotFilled,
+  createChallenge,
+  verifyChallenge,
+} from '../../lib/voteChallenge';
 
-/**
- * Get the current month key for storing votes
- * Format: votes:YYYY-MM
- * 
- * @returns {string} Redis key for current month votes
- */
-function getVoteKey() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  return `votes:${year}-${month}`;
-}
+// All requests to this route, per IP
+const ROUTE_LIMIT = { name: 'vote', limit: 60, windowSeconds: 60 };
+
+// Ballot submissions, per IP (a shared network may hold several voters)
+const SUBMIT_LIMIT = { name: 'vote-submit', limit: 10, windowSeconds: 10 * 60 };
 
 /**
  * API handler for voting
  * 
- * POST: Submit vote { trackId, trackName, artists }
- * GET: Retrieve current vote counts
+ * POST: Submit vote { trackId }, or { ranking: [trackId, ...] } in ranked months
+ *       (+ { challenge, nonce } when proof of work is on)
+ *       Track name and artists come from playlist data, not the client.
+ *       400 if the track isn't votable or the bot checks fail,
+ *       403 outside the voting window, 409 if this visitor already voted
+ * GET: Retrieve voting window, mode (+ votedFor if this visitor voted)
+ *      and current counts - counts stay hidden until the window closes.
+ *      Includes a proof-of-work challenge when enabled
+ *      ?month=YYYY-MM returns that month's finalized results instead
  * 
  * @param {Object} req - Next.js request object
  * @param {Object} res - Next.js response object
  */
-export default async function handler(req, res) {
-  const voteKey = getVoteKey();
+async function handler(req, res) {
+  const month = getMonthKey();
+
+  // Handle GET with ?month - return a past month's final results
+  if (req.method === 'GET' && req.query.month && req.query.month !== month) {
+    const requested = req.query.month;
+
+    if (!isMonthKey(requested) || requested > month) {
+      return res.status(400).json({ error: 'month must be a past month in YYYY-MM format' });
+    }
+
+    try {
+      const record = await getFinalizedVotes(requested);
+
+      // Final results never change
+      if (record) {
+        res.setHeader('Cache-Control', 's-maxage=86400');
+      }
+
+      return res.status(200).json({
+        month: requested,
+        finalized: Boolean(record),
+        mode: record?.mode || 'single',
+        results: record?.results || [],
+        rounds: record?.rounds,
+        winner: record?.winner || null,
+        totalVotes: record?.totalVotes || 0,
+        finalizedAt: record?.finalizedAt || null,
+      });
+
+    } catch (error) {
+      console.error('[Vote GET] Error:', error.message);
+
+      // Errors with their own status (e.g. 503 while votes are migrated)
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      if (error.message.includes('KV')) {
+        return res.status(200).json({
+          month: requested,
+          finalized: false,
+          results: [],
+          notice: 'Voting not configured',
+        });
+      }
+
+      return res.status(500).json({ error: 'Failed to get votes' });
+    }
+  }
 
   // Handle GET - return current votes
   if (req.method === 'GET') {
     try {
-      // Get all votes for current month
-      const votes = await kv.hgetall(voteKey) || {};
-
-      // Parse and sort by vote count
-      const results = Object.entries(votes)
-        .map(([trackId, data]) => {
-          // Data is stored as JSON string
-          const parsed = typeof data === 'string' ? JSON.parse(data) : data;
-          return {
-            trackId,
-            trackName: parsed.trackName,
-            artists: parsed.artists,
-            votes: parsed.votes || 0,
-          };
-        })
-        .sort((a, b) => b.votes - a.votes);
+      // Get all votes for current month, best first
+      const [config, tally] = await Promise.all([
+        getVotingConfig(month),
+        getVoteTally(month),
+      ]);
+      const status = getVotingStatus(config);
+      const votedFor = await findVisitorVote(month, getVisitorFingerprint(req, res));
+
+      // Live counts would bias the vote - only reveal them once it's closed
+      const revealed = status === 'closed';
 
       return res.status(200).json({ 
-        month: voteKey.replace('votes:', ''),
-        results,
+        month,
+        mode: tally.mode,
+        maxRanks: MAX_RANKS,
+        status,
+        opensAt: config.opensAt,
+        closesAt: config.closesAt,
+        revealed,
+        results: revealed ? tally.results : [],
+        totalVotes: tally.totalVotes,
+        rounds: revealed ? tally.rounds : undefined,
+        votedFor,
+        challenge: status === 'open' && !votedFor ? createChallenge() : null,
       });
 
     } catch (error) {
       console.error('[Vote GET] Error:', error.message);
+
+      // Errors with their own status (e.g. 503 while votes are migrated)
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       
       // If KV not configured, return empty results
       if (error.message.includes('KV')) {
         return res.status(200).json({ 
-          month: voteKey.replace('votes:', ''),
+          month,
           results: [],
           notice: 'Voting not configured',
         });
@@ -78,52 +161,123 @@ export default async function handler(req, res) {
 
   // Handle POST - submit vote
   if (req.method === 'POST') {
+    if (!(await rateLimit(req, res, SUBMIT_LIMIT))) return undefined;
+
     try {
-      const { trackId, trackName, artists } = req.body;
+      const config = await getVotingConfig(month);
+      const { mode } = config;
+      const body = req.body || {};
+
+      // Hidden field only bots fill in
+      if (isHoneypotFilled(body)) {
+        return res.status(400).json({ error: 'Invalid submission' });
+      }
+
+      // Only accept ballots inside the voting window
+      const status = getVotingStatus(config);
+      if (status !== 'open') {
+        return res.status(403).json({
+          error: status === 'upcoming' ? 'Voting has not opened yet' : 'Voting is closed',
+          status,
+          opensAt: config.opensAt,
+          closesAt: config.closesAt,
+        });
+      }
+
+      // Single mode is a one-track ranking
+      const ranking = mode === 'ranked' ? body.ranking : body.trackId && [body.trackId];
 
       // Validate required fields
-      if (!trackId || !trackName) {
+      if (!Array.isArray(ranking) || ranking.length === 0) {
         return res.status(400).json({ 
-          error: 'trackId and trackName required' 
+          error: mode === 'ranked'
+            ? `ranking required (1-${MAX_RANKS} track IDs in order)`
+            : 'trackId required',
         });
       }
 
-      // Get current vote data for this track
-      const existing = await kv.hget(voteKey, trackId);
-      
-      let voteData;
-      if (existing) {
-        // Increment existing votes
-        const parsed = typeof existing === 'string' ? JSON.parse(existing) : existing;
-        voteData = {
-          trackName,
-          artists: artists || parsed.artists,
-          votes: (parsed.votes || 0) + 1,
-        };
-      } else {
-        // First vote for this track
-        voteData = {
-          trackName,
-          artists: artists || [],
-          votes: 1,
-        };
+      if (ranking.length > MAX_RANKS || new Set(ranking).size !== ranking.length) {
+        return res.status(400).json({
+          error: `ranking must list up to ${MAX_RANKS} different tracks`,
+        });
       }
 
-      // Store updated vote
-      await kv.hset(voteKey, { [trackId]: JSON.stringify(voteData) });
+      // Only tracks eligible this month can be voted for
+      const votableTracks = await getVotableTracks();
+      const tracks = ranking.map(id => votableTracks.find(t => t.id === id));
 
-      // Set expiry for 60 days (clean up old votes)
-      await kv.expire(voteKey, 60 * 24 * 60 * 60);
+      if (tracks.some(track => !track)) {
+        return res.status(400).json({
+          error: 'Track not eligible for voting this month',
+        });
+      }
 
-      return res.status(200).json({ 
-        success: true,
-        trackId,
-        votes: voteData.votes,
-      });
+      // Proof of work (when enabled) - a fresh challenge comes back to retry with
+      const challengeError = await verifyChallenge(body.challenge, body.nonce);
+      if (challengeError) {
+        return res.status(400).json({
+          error: challengeError,
+          challenge: createChallenge(),
+        });
+      }
+
+      const trackId = ranking[0];
+      const fingerprint = getVisitorFingerprint(req, res);
+
+      // One vote per visitor per month
+      const previousTrackId = await claimVote(month, fingerprint, trackId);
+
+      if (previousTrackId) {
+        const previous = await getVotedTrack(month, previousTrackId);
+
+        return res.status(409).json({
+          error: 'Already voted this month',
+          trackId: previousTrackId,
+          trackName: previous?.trackName || null,
+        });
+      }
+
+      const picks = tracks.map(track => ({
+        trackId: track.id,
+        trackName: track.name,
+        artists: track.artists,
+      }));
+
+      // Release the claim if the vote isn't stored, so the visitor can retry
+      try {
+        if (mode === 'ranked') {
+          const ballots = await recordBallot(month, picks);
+
+          return res.status(200).json({
+            success: true,
+            ranking,
+            ballots,
+          });
+        }
+
+        // Atomic increment - safe under concurrent votes
+        const votes = await recordVote(month, picks[0]);
+
+        return res.status(200).json({ 
+          success: true,
+          trackId,
+          votes,
+        });
+      } catch (error) {
+        await releaseVote(month, fingerprint).catch(releaseError => {
+          console.error('[Vote POST] Could not release claim:', releaseError.message);
+        });
+        throw error;
+      }
 
     } catch (error) {
       console.error('[Vote POST] Error:', error.message);
 
+      // Errors with their own status (e.g. 503 while votes are migrated)
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
       // If KV not configured, return friendly error
       if (error.message.includes('KV')) {
         return res.status(503).json({ 
@@ -139,3 +293,5 @@ export default async function handler(req, res) {
   // Method not allowed
   return res.status(405).json({ error: 'Method not allowed' });
 }
+
+export default withRateLimit(handler, ROUTE_LIMIT);
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Vote history endpoint
+ * Returns finalized Track of the Month results for past months
+ *
+ * GET /api/votes/history
+ *
+ * Months are finalized by the monthly rollover, or on first request
+ * to GET /api/vote?month=YYYY-MM, and then kept permanently.
+ *
+ * REQUIRES: @vercel/kv configured in Vercel project settings
+ */
+
+import { getVoteHistory } from '../../../lib/votes';
+
+/**
+ * API handler for GET /api/votes/history
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const history = await getVoteHistory();
+
+    // Changes at most once a month
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+
+    return res.status(200).json({
+      months: history.map(record => ({
+        month: record.month,
+        winner: record.winner,
+        totalVotes: record.totalVotes,
+        results: record.results,
+        finalizedAt: record.finalizedAt,
+      })),
+    });
+
+  } catch (error) {
+    console.error('[Vote History] Error:', error.message);
+
+    // If KV not configured, return empty history
+    if (error.message.includes('KV')) {
+      return res.status(200).json({
+        months: [],
+        notice: 'Voting not configured',
+      });
+    }
+
+    return res.status(500).json({ error: 'Failed to get vote history' });
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Playlist diff page
+ * Shows what changed between two playlists (e.g. one month to the next)
+ *
+ * /diff?from=<playlistId>&to=<playlistId> - fetches /api/diff
+ * Without params, compares the latest past playlist with the main playlist.
+ */
+
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { formatDuration, formatDate, formatNumber } from '../utils/formatters';
+
+/**
+ * Format a signed change
+ * @param {number} delta
+ * @param {Function} format - Formatter for the absolute value
+ * @returns {string} e.g. "+3" or "−0:04:10"
+ */
+function formatDelta(delta, format = formatNumber) {
+  if (delta === 0) return '±0';
+  return `${delta > 0 ? '+' : '−'}${format(Math.abs(delta))}`;
+}
+
+/**
+ * Track list for added/removed tracks
+ *
+ * @param {Object} props
+ * @param {string} props.title - Section heading
+ * @param {Array} props.tracks - Array of { id, name, artists, durationMs, addedAt }
+ * @param {string} props.empty - Text when there are no tracks
+ */
+function TrackList({ title, tracks, empty }) {
+  return (
+    <div className="card">
+      <h2 className="text-xl font-bold mb-4">
+        {title} <span className="text-spotify-lightgray text-base">({tracks.length})</span>
+      </h2>
+
+      {tracks.length === 0 ? (
+        <p className="text-spotify-lightgray">{empty}</p>
+      ) : (
+        <ul className="space-y-1">
+          {tracks.map((track) => (
+            <li key={track.id} className="track-item">
+              <div className="flex-1 min-w-0">
+                <p className="text-white font-medium truncate">{track.name}</p>
+                <p className="text-spotify-lightgray text-sm truncate">
+                  {track.artists?.join(', ') || 'Unknown Artist'}
+                </p>
+              </div>
+              <div className="text-right text-spotify-gray text-sm whitespace-nowrap">
+                <p>{formatDuration(track.durationMs)}</p>
+                <p className="text-xs">{formatDate(track.addedAt)}</p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Diff page - pick two playlists and compare them
+ */
+export default function DiffPage() {
+  const router = useRouter();
+
+  const [playlists, setPlaylists] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const { from, to } = router.query;
+
+  // Load the playlists to choose from
+  useEffect(() => {
+    fetchPlaylists();
+  }, []);
+
+  // Default to latest past playlist → main once the list is loaded
+  useEffect(() => {
+    if (!router.isReady || playlists.length < 2 || (from && to)) return;
+
+    router.replace({
+      query: {
+        from: from || playlists[playlists.length - 2].id,
+        to: to || playlists[playlists.length - 1].id,
+      },
+    }, undefined, { shallow: true });
+  }, [router.isReady, playlists, from, to]);
+
+  // Fetch the diff whenever the selection changes
+  useEffect(() => {
+    if (from && to) {
+      fetchDiff(from, to);
+    }
+  }, [from, to]);
+
+  /**
+   * Fetch playlist list (main + past playlists, oldest first)
+   */
+  async function fetchPlaylists() {
+    try {
+      const res = await fetch('/api/stats');
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to load playlists');
+      }
+
+      const past = [...(data.otherPlaylists || [])]
+        .sort((a, b) => (a.month || '').localeCompare(b.month || ''));
+
+      setPlaylists([...past, { id: data.main.id, name: data.main.name }]);
+
+    } catch (err) {
+      console.error('Failed to fetch playlists:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Fetch the diff between two playlists
+   * @param {string} fromId
+   * @param {string} toId
+   */
+  async function fetchDiff(fromId, toId) {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ from: fromId, to: toId });
+      const res = await fetch(`/api/diff?${params}`);
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to load diff');
+      }
+
+      setDiff(data);
+
+    } catch (err) {
+      console.error('Failed to fetch diff:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Update one side of the comparison
+   * @param {string} side - 'from' or 'to'
+   * @param {string} playlistId
+   */
+  function handleSelect(side, playlistId) {
+    router.replace({ query: { ...router.query, [side]: playlistId } }, undefined, { shallow: true });
+  }
+
+  return (
+    <>
+      {/* Page metadata */}
+      <Head>
+        <title>Playlist Changes - Digital Diggaz</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+
+      <main className="min-h-screen py-8 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-4xl mx-auto">
+
+          {/* Back link */}
+          <Link href="/" className="text-spotify-lightgray hover:text-white text-sm">
+            ← All stats
+          </Link>
+
+          <h1 className="text-3xl font-bold text-white my-6">Playlist Changes</h1>
+
+          {/* Playlist pickers */}
+          <div className="card mb-6 flex flex-wrap items-end gap-4">
+            {['from', 'to'].map((side) => (
+              <label key={side} className="flex-1 min-w-[12rem] text-sm text-spotify-lightgray">
+                {side === 'from' ? 'From' : 'To'}
+                <select
+                  value={router.query[side] || ''}
+                  onChange={e => handleSelect(side, e.target.value)}
+                  className="block w-full mt-1 p-2 rounded-lg bg-zinc-800 text-white"
+                >
+                  {playlists.map((playlist) => (
+                    <option key={playlist.id} value={playlist.id}>
+                      {playlist.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {/* Loading / error */}
+          {loading && !diff && (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          )}
+          {error && (
+            <p className="text-red-400 text-center mb-6">{error}</p>
+          )}
+          {!loading && !error && playlists.length < 2 && (
+            <p className="text-spotify-lightgray text-center">
+              Nothing to compare yet - past playlists appear after the first monthly rollover.
+            </p>
+          )}
+
+          {diff && !error && (
+            <>
+              {/* Summary deltas */}
+              <div className="card mb-6">
+                <h2 className="text-xl font-bold mb-4">
+                  {diff.from.name} → {diff.to.name}
+                </h2>
+                <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                  <div className="stat-box">
+                    <p className="text-spotify-lightgray text-sm mb-1">Tracks</p>
+                    <p className="text-2xl font-bold text-white">
+                      {formatDelta(diff.to.trackCount - diff.from.trackCount)}
+                    </p>
+                    <p className="text-spotify-gray text-xs mt-1">
+                      {formatNumber(diff.from.trackCount)} → {formatNumber(diff.to.trackCount)}
+                    </p>
+                  </div>
+                  <div className="stat-box">
+                    <p className="text-spotify-lightgray text-sm mb-1">Duration</p>
+                    <p className="text-2xl font-bold text-white">
+                      {formatDelta(diff.duration.delta, formatDuration)}
+                    </p>
+                    <p className="text-spotify-gray text-xs mt-1">
+                      {formatDuration(diff.duration.from)} → {formatDuration(diff.duration.to)}
+                    </p>
+                  </div>
+                  <div className="stat-box">
+                    <p className="text-spotify-lightgray text-sm mb-1">Artists</p>
+                    <p className="text-2xl font-bold text-white">
+                      {formatDelta(diff.artists.delta)}
+                    </p>
+                    <p className="text-spotify-gray text-xs mt-1">
+                      {formatNumber(diff.artists.from)} → {formatNumber(diff.artists.to)}
+                    </p>
+                  </div>
+                  <div className="stat-box">
+                    <p className="text-spotify-lightgray text-sm mb-1">Kept</p>
+                    <p className="text-2xl font-bold text-white">
+                      {formatNumber(diff.unchanged)}
+                    </p>
+                    <p className="text-spotify-gray text-xs mt-1">tracks in both</p>
+                  </div>
+                </div>
+              </div>
+
+              {/* Added / removed tracks */}
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                <TrackList title="Added" tracks={diff.added} empty="No tracks added" />
+                <TrackList title="Dropped" tracks={diff.removed} empty="No tracks dropped" />
+              </div>
+
+              {/* Artist changes */}
+              {diff.artists.changed.length > 0 && (
+                <div className="card mb-6">
+                  <h2 className="text-xl font-bold mb-4">Artist Changes</h2>
+                  <ul className="space-y-2">
+                    {diff.artists.changed.map((artist) => (
+                      <li key={artist.name} className="flex items-center gap-3 p-2 rounded-lg">
+                        <span className="flex-1 text-white truncate">
+                          {artist.name}
+                          {artist.from === 0 && (
+                            <span className="ml-2 text-xs text-spotify-green">new</span>
+                          )}
+                          {artist.to === 0 && (
+                            <span className="ml-2 text-xs text-red-400">gone</span>
+                          )}
+                        </span>
+                        <span className="text-spotify-gray text-sm whitespace-nowrap">
+                          {artist.from} → {artist.to} tracks
+                        </span>
+                        <span className={`text-sm font-bold w-10 text-right ${artist.delta > 0 ? 'text-spotify-green' : 'text-red-400'}`}>
+                          {formatDelta(artist.delta)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
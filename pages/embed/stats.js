@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Embeddable stats widget
+ * Compact stats grid + top artists for other sites, shown in an iframe
+ *
+ * /embed/stats?theme=dark|light&playlist=<id>
+ * - theme: color scheme (default dark)
+ * - playlist: any playlist with a stats page (default: main playlist)
+ *
+ * Posts { type: 'diggaz:embed-resize', height } to the parent window when
+ * its height changes; public/embed.js sizes the iframe from that.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import StatsGrid from '../../components/StatsGrid';
+import TopArtists from '../../components/TopArtists';
+
+// Message type public/embed.js listens for
+const RESIZE_MESSAGE = 'diggaz:embed-resize';
+
+// Artists shown in the widget
+const ARTIST_LIMIT = 5;
+
+/**
+ * Stats widget - no player, voting or navigation
+ */
+export default function EmbedStats() {
+  const router = useRouter();
+  const { playlist: playlistId } = router.query;
+  const theme = router.query.theme === 'light' ? 'light' : 'dark';
+
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+  const rootRef = useRef(null);
+
+  // Fetch stats once the query is known
+  useEffect(() => {
+    if (!router.isReady) return;
+    fetchStats();
+  }, [router.isReady, playlistId]);
+
+  // Tell the embedding page our height whenever it changes
+  useEffect(() => {
+    if (window.parent === window || !rootRef.current) return undefined;
+
+    const observer = new ResizeObserver(() => {
+      const height = Math.ceil(rootRef.current.getBoundingClientRect().height);
+      window.parent.postMessage({ type: RESIZE_MESSAGE, height }, '*');
+    });
+    observer.observe(rootRef.current);
+
+    return () => observer.disconnect();
+  }, []);
+
+  /**
+   * Fetch stats for the main playlist or the requested one
+   */
+  async function fetchStats() {
+    setError(null);
+
+    try {
+      const url = playlistId ? `/api/stats/${encodeURIComponent(playlistId)}` : '/api/stats';
+      const res = await fetch(url);
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to load stats');
+      }
+
+      setStats(data);
+
+    } catch (err) {
+      console.error('Failed to fetch widget stats:', err);
+      setError(err.message);
+    }
+  }
+
+  const playlist = stats?.playlist || stats?.main;
+  const pagePath = playlistId ? `/playlist/${encodeURIComponent(playlistId)}` : '/';
+
+  return (
+    <>
+      <Head>
+        <title>Digital Diggaz Stats</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div ref={rootRef} className={`embed-widget theme-${theme} space-y-3`}>
+        <div className="card p-4">
+          {/* Header links to the full stats page */}
+          <div className="flex items-center justify-between gap-2 mb-3">
+            <a
+              href={pagePath}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-white font-bold truncate hover:text-spotify-green"
+            >
+              {playlist?.name || 'Digital Diggaz'}
+            </a>
+            <a
+              href={pagePath}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-spotify-lightgray hover:text-white text-xs whitespace-nowrap"
+            >
+              Full stats ↗
+            </a>
+          </div>
+
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+
+          {!stats && !error && (
+            <div className="flex justify-center py-6">
+              <div className="spinner"></div>
+            </div>
+          )}
+
+          {stats && (
+            <StatsGrid
+              total={stats.total}
+              current={stats.current}
+              added={stats.added}
+              month={stats.month}
+              currentNote={playlistId ? 'This playlist' : undefined}
+              compact
+            />
+          )}
+        </div>
+
+        {stats && <TopArtists artists={stats.topArtists} limit={ARTIST_LIMIT} />}
+      </div>
+    </>
+  );
+}
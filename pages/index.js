@@ -1,17 +1,31 @@
 /**
  * @fileoverview Main page component
  * Public stats page for Digital Diggaz playlists
+ *
+ * Rendered at build time with getStaticProps and regenerated every
+ * STATS_REVALIDATE_SECONDS (or on demand via /api/admin/revalidate), so
+ * crawlers and link previews get the stats in the HTML. The client
+ * refetches /api/stats for other months and on refresh.
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import Head from 'next/head';
 import dynamic from 'next/dynamic';
+import { useRouter } from 'next/router';
 import Hero from '../components/Hero';
 import StatsGrid from '../components/StatsGrid';
 import TopArtists from '../components/TopArtists';
+import MostPlayed from '../components/MostPlayed';
 import NewTracks from '../components/NewTracks';
 import VotingSection from '../components/VotingSection';
+import HallOfFame from '../components/HallOfFame';
+import Evergreens from '../components/Evergreens';
 import OtherPlaylists from '../components/OtherPlaylists';
+import { createEventQueue } from '../utils/eventQueue';
+import { buildStatsWithEmbed } from '../lib/playlistData';
+import { STATS_REVALIDATE_SECONDS } from '../lib/revalidate';
+import { getSiteUrl } from '../lib/shareCard';
+import { getMonthKey, shiftMonth } from '../lib/months';
 
 // Dynamic import for SpotifyEmbed (client-side only - uses browser APIs)
 const SpotifyEmbed = dynamic(() => import('../components/SpotifyEmbed'), {
@@ -21,27 +35,67 @@ const SpotifyEmbed = dynamic(() => import('../components/SpotifyEmbed'), {
 
 /**
  * Home page - displays all playlist stats
+ * ?month=YYYY-MM picks the month for "new tracks"
  */
-export default function Home() {
-  // State for stats data
-  const [stats, setStats] = useState(null);
-  const [loading, setLoading] = useState(true);
+export default function Home({ initialStats, siteUrl = '' }) {
+  const router = useRouter();
+  const { month } = router.query;
+
+  // State for stats data (pre-rendered for the current month)
+  const [stats, setStats] = useState(initialStats);
+  const [loading, setLoading] = useState(!initialStats);
   const [error, setError] = useState(null);
   const [lastRefresh, setLastRefresh] = useState(null);
 
-  // State for data extracted from Spotify embed
-  const [extractedData, setExtractedData] = useState([]);
+  // Skip the first fetch when the static stats already cover the request
+  const usePrerenderedRef = useRef(Boolean(initialStats));
+
+  // Play events from the Spotify embed, batched to /api/events
+  const eventQueueRef = useRef(null);
+
+  useEffect(() => {
+    const queue = createEventQueue({ url: '/api/events' });
+    eventQueueRef.current = queue;
+
+    // Send what's waiting when the tab is hidden (may never come back)
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') queue.flush({ beacon: true });
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      queue.stop();
+    };
+  }, []);
+
+  // Track other sections asked the embed to play
+  const [playRequest, setPlayRequest] = useState(null);
 
-  // Callback when track data is extracted from embed
-  const handleTrackData = useCallback((track, allTracks) => {
-    setExtractedData(allTracks);
-    console.log('[Extracted]', track);
+  const handlePlayTrack = useCallback((trackId) => {
+    // New object each time so clicking the same track again replays it
+    setPlayRequest({ trackId, requestedAt: Date.now() });
   }, []);
 
-  // Fetch stats on mount
+  // Callback with each play event from the embed
+  const handleTrackData = useCallback((event) => {
+    eventQueueRef.current?.push(event);
+  }, []);
+
+  // Fetch stats on mount and when the month changes
   useEffect(() => {
+    if (!router.isReady) return;
+
+    if (usePrerenderedRef.current && !month) {
+      usePrerenderedRef.current = false;
+      // Set after mount - server and browser format times differently
+      setLastRefresh(new Date(initialStats.fetchedAt));
+      return;
+    }
+
+    usePrerenderedRef.current = false;
     fetchStats();
-  }, []);
+  }, [router.isReady, month]);
 
   /**
    * Fetch stats from API
@@ -51,7 +105,8 @@ export default function Home() {
     setError(null);
 
     try {
-      const res = await fetch('/api/stats');
+      const query = month ? `?${new URLSearchParams({ month })}` : '';
+      const res = await fetch(`/api/stats${query}`);
       
       if (!res.ok) {
         const data = await res.json();
@@ -77,12 +132,34 @@ export default function Home() {
     fetchStats();
   }
 
+  /**
+   * Show new tracks for the previous/next month
+   * @param {number} delta - -1 or +1
+   */
+  function handleMonthStep(delta) {
+    const next = shiftMonth(stats.month, delta);
+    const query = next === getMonthKey(new Date(), stats.timeZone) ? {} : { month: next };
+    router.push({ query }, undefined, { shallow: true });
+  }
+
   return (
     <>
       {/* Page metadata */}
       <Head>
         <title>Digital Diggaz Playlist Tracker</title>
         <meta name="description" content="Stats and insights for Digital Diggaz community playlists" />
+
+        {/* Share previews (image rendered by /api/og) */}
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content="Digital Diggaz Playlist Tracker" />
+        <meta property="og:description" content="Stats and insights for Digital Diggaz community playlists" />
+        {/* Crawlers need absolute URLs - without a site URL, leave the image out */}
+        {siteUrl && <meta property="og:url" content={siteUrl} />}
+        {siteUrl && <meta property="og:image" content={`${siteUrl}/api/og`} />}
+        {siteUrl && <meta property="og:image:width" content="1200" />}
+        {siteUrl && <meta property="og:image:height" content="630" />}
+        <meta name="twitter:card" content={siteUrl ? 'summary_large_image' : 'summary'} />
+        {siteUrl && <meta name="twitter:image" content={`${siteUrl}/api/og`} />}
         <meta name="viewport" content="width=device-width, initial-scale=1" />
         <link rel="icon" href="/favicon.ico" />
       </Head>
@@ -117,6 +194,8 @@ export default function Home() {
                 <div className="mb-6">
                   <SpotifyEmbed 
                     playlistId={stats.main.id}
+                    tracks={stats.main.tracks}
+                    playRequest={playRequest}
                     onTrackData={handleTrackData}
                   />
                 </div>
@@ -139,18 +218,40 @@ export default function Home() {
 
               {/* Stats comparison grid */}
               <div className="mb-6">
-                <StatsGrid total={stats.total} current={stats.current} />
+                <StatsGrid
+                  total={stats.total}
+                  current={stats.current}
+                  added={stats.added}
+                  month={stats.month}
+                />
               </div>
 
               {/* Two column layout for artists and tracks */}
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-                <TopArtists artists={stats.topArtists} />
-                <NewTracks tracks={stats.newTracks} />
+                <TopArtists artists={stats.topArtists} onPlayTrack={handlePlayTrack} />
+                <MostPlayed tracks={stats.mostPlayed} onPlayTrack={handlePlayTrack} />
+                <NewTracks
+                  tracks={stats.newTracks}
+                  onPlayTrack={handlePlayTrack}
+                  month={stats.month}
+                  onMonthStep={handleMonthStep}
+                  canStepForward={stats.month < getMonthKey(new Date(), stats.timeZone)}
+                />
               </div>
 
               {/* Voting section */}
               <div className="mb-6">
-                <VotingSection tracks={stats.newTracks} />
+                <VotingSection tracks={stats.votableTracks} onPlayTrack={handlePlayTrack} />
+              </div>
+
+              {/* Past Track of the Month winners */}
+              <div className="mb-6">
+                <HallOfFame />
+              </div>
+
+              {/* Tracks and artists that keep coming back */}
+              <div className="mb-6">
+                <Evergreens onPlayTrack={handlePlayTrack} />
               </div>
 
               {/* Other playlists */}
@@ -181,3 +282,26 @@ export default function Home() {
     </>
   );
 }
+
+/**
+ * Build stats at build time, then regenerate in the background
+ * If the store is unreachable, the page falls back to fetching in the browser
+ */
+export async function getStaticProps() {
+  try {
+    const stats = await buildStatsWithEmbed();
+
+    return {
+      // Round-trip drops undefined fields, which props can't contain
+      props: { initialStats: JSON.parse(JSON.stringify(stats)), siteUrl: getSiteUrl() },
+      revalidate: STATS_REVALIDATE_SECONDS,
+    };
+  } catch (error) {
+    console.error('[Home] Failed to pre-render stats:', error.message);
+
+    return {
+      props: { initialStats: null, siteUrl: getSiteUrl() },
+      revalidate: 60,
+    };
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Playlist stats page
+ * Stats for one playlist (main, historical or archive)
+ *
+ * /playlist/[id] - fetches /api/stats/[id]
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import Image from 'next/image';
+import dynamic from 'next/dynamic';
+import { useRouter } from 'next/router';
+import StatsGrid from '../../components/StatsGrid';
+import TopArtists from '../../components/TopArtists';
+import NewTracks from '../../components/NewTracks';
+import { formatMonth } from '../../utils/formatters';
+
+// Dynamic import for SpotifyEmbed (client-side only - uses browser APIs)
+const SpotifyEmbed = dynamic(() => import('../../components/SpotifyEmbed'), {
+  ssr: false,
+  loading: () => <div className="h-[400px] bg-zinc-800 rounded-xl animate-pulse" />,
+});
+
+/**
+ * Playlist page - same stats blocks as the home page, for one playlist
+ */
+export default function PlaylistPage() {
+  const router = useRouter();
+  const { id } = router.query;
+
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [playRequest, setPlayRequest] = useState(null);
+
+  const handlePlayTrack = useCallback((trackId) => {
+    setPlayRequest({ trackId, requestedAt: Date.now() });
+  }, []);
+
+  // Fetch stats once the route ID is known
+  useEffect(() => {
+    if (!router.isReady) return;
+    fetchStats();
+  }, [router.isReady, id]);
+
+  /**
+   * Fetch playlist stats from API
+   */
+  async function fetchStats() {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const res = await fetch(`/api/stats/${encodeURIComponent(id)}`);
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to load stats');
+      }
+
+      setStats(data);
+
+    } catch (err) {
+      console.error('Failed to fetch playlist stats:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const playlist = stats?.playlist;
+  const title = playlist ? `${playlist.name} - Digital Diggaz` : 'Playlist - Digital Diggaz';
+
+  return (
+    <>
+      {/* Page metadata */}
+      <Head>
+        <title>{title}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+
+      <main className="min-h-screen py-8 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-4xl mx-auto">
+
+          {/* Back link */}
+          <Link href="/" className="text-spotify-lightgray hover:text-white text-sm">
+            ← All stats
+          </Link>
+
+          {/* Loading state */}
+          {loading && !stats && (
+            <div className="flex flex-col items-center justify-center min-h-[50vh]">
+              <div className="spinner mb-4"></div>
+              <p className="text-spotify-lightgray">Loading playlist data...</p>
+            </div>
+          )}
+
+          {/* Error state */}
+          {error && (
+            <div className="text-center py-12">
+              <p className="text-red-400 mb-4">{error}</p>
+              <Link href="/" className="btn-secondary">
+                Back to home
+              </Link>
+            </div>
+          )}
+
+          {playlist && !error && (
+            <>
+              {/* Header */}
+              <div className="text-center my-8">
+                <div className="relative w-40 h-40 mx-auto mb-4 rounded-lg overflow-hidden shadow-2xl">
+                  {playlist.coverImage ? (
+                    <Image src={playlist.coverImage} alt={playlist.name} fill className="object-cover" />
+                  ) : (
+                    <div className="w-full h-full bg-gradient-to-br from-spotify-green to-green-700 flex items-center justify-center">
+                      <span className="text-5xl">🎵</span>
+                    </div>
+                  )}
+                </div>
+                <h1 className="text-3xl font-bold text-white mb-1">{playlist.name}</h1>
+                {playlist.month && (
+                  <p className="text-spotify-lightgray mb-4">{formatMonth(playlist.month)}</p>
+                )}
+                {playlist.url && (
+                  <a
+                    href={playlist.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="btn-spotify inline-flex items-center gap-2"
+                  >
+                    Open in Spotify
+                  </a>
+                )}
+              </div>
+
+              {/* Embed (real Spotify playlists only) */}
+              {playlist.url && (
+                <div className="mb-6">
+                  <SpotifyEmbed
+                    playlistId={playlist.id}
+                    tracks={playlist.tracks}
+                    playRequest={playRequest}
+                  />
+                </div>
+              )}
+
+              {/* Stats comparison grid */}
+              <div className="mb-6">
+                <StatsGrid
+                  total={stats.total}
+                  current={stats.current}
+                  currentNote="This playlist"
+                />
+              </div>
+
+              {/* Two column layout for artists and tracks */}
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                <TopArtists
+                  artists={stats.topArtists}
+                  onPlayTrack={playlist.url ? handlePlayTrack : undefined}
+                />
+                <NewTracks
+                  tracks={stats.newTracks}
+                  onPlayTrack={playlist.url ? handlePlayTrack : undefined}
+                  title={playlist.isMain ? 'New This Month' : 'First Added Here'}
+                />
+              </div>
+            </>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
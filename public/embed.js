@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Stats widget loader for other sites
+ * Inserts an auto-sized /embed/stats iframe where its <script> tag is
+ *
+ * <script src="https://<our site>/embed.js" data-theme="light" data-playlist="<id>" async></script>
+ *
+ * data-theme (dark|light) and data-playlist are optional and passed on as
+ * ?theme= and ?playlist=. The iframe posts its height as
+ * { type: 'diggaz:embed-resize', height } (see pages/embed/stats.js).
+ *
+ * Plain ES5 with no dependencies - it runs on the host page.
+ */
+
+(function () {
+  // Message type pages/embed/stats.js sends
+  var RESIZE_MESSAGE = 'diggaz:embed-resize';
+
+  // Height until the widget reports its own
+  var INITIAL_HEIGHT = 420;
+
+  var script = document.currentScript;
+  if (!script) return;
+
+  var origin = new URL(script.src).origin;
+
+  // Build the widget URL from the script's data attributes
+  var params = new URLSearchParams();
+  if (script.dataset.theme) params.set('theme', script.dataset.theme);
+  if (script.dataset.playlist) params.set('playlist', script.dataset.playlist);
+  var query = params.toString();
+
+  var iframe = document.createElement('iframe');
+  iframe.src = origin + '/embed/stats' + (query ? '?' + query : '');
+  iframe.title = 'Digital Diggaz playlist stats';
+  iframe.loading = 'lazy';
+  iframe.style.width = '100%';
+  iframe.style.maxWidth = '640px';
+  iframe.style.height = INITIAL_HEIGHT + 'px';
+  iframe.style.border = '0';
+  iframe.style.display = 'block';
+  iframe.setAttribute('scrolling', 'no');
+
+  // Only trust size messages from this iframe
+  window.addEventListener('message', function (event) {
+    if (event.origin !== origin || event.source !== iframe.contentWindow) return;
+
+    var data = event.data || {};
+    if (data.type === RESIZE_MESSAGE && typeof data.height === 'number' && data.height > 0) {
+      iframe.style.height = Math.ceil(data.height) + 'px';
+    }
+  });
+
+  script.parentNode.insertBefore(iframe, script);
+})();
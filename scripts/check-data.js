@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Playlist data check script
+ * Prints the integrity report and exits non-zero on errors
+ *
+ * Usage: npm run check:data
+ * Uses the same store as the site (PLAYLIST_STORE, PLAYLIST_DATA_FILE).
+ */
+
+const { buildIntegrityReport } = require('../lib/dataIntegrity');
+
+/**
+ * Format an issue location for the console
+ * @param {Object} issue
+ * @returns {string} e.g. "7cpy... #3 (trackId)"
+ */
+function formatLocation(issue) {
+  let location = issue.playlistId || '';
+  if (issue.index !== undefined) location += ` #${issue.index}`;
+  if (issue.trackId) location += ` (${issue.trackId})`;
+  return location;
+}
+
+async function main() {
+  const report = await buildIntegrityReport();
+  const { summary } = report;
+
+  console.log(
+    `Checked ${summary.playlists} playlists, ${summary.tracks} tracks ` +
+    `from ${report.dataSource} store`
+  );
+
+  report.issues.forEach(issue => {
+    const label = issue.level === 'error' ? 'ERROR' : 'warn ';
+    console.log(`  ${label} ${formatLocation(issue)}: ${issue.message}`);
+  });
+
+  console.log(`${summary.errors} errors, ${summary.warnings} warnings`);
+
+  process.exitCode = report.ok ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error('Data check failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview In-memory stand-in for the @vercel/kv client
+ * Implements the commands lib/votes and lib/playEvents use. Every command
+ * yields to the event loop first, so parallel callers interleave like they
+ * would over the network, but each command itself is atomic, like in Redis.
+ */
+
+/**
+ * Create an in-memory KV client
+ * @returns {Object} Client with a subset of the @vercel/kv API
+ */
+function createMemoryKv() {
+  const data = new Map();
+
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  const hash = key => {
+    if (!data.has(key)) data.set(key, new Map());
+    return data.get(key);
+  };
+
+  const list = key => {
+    if (!data.has(key)) data.set(key, []);
+    return data.get(key);
+  };
+
+  const commands = {
+    get: key => (data.has(key) ? data.get(key) : null),
+    set: (key, value, options = {}) => {
+      if (options.nx && data.has(key)) return null;
+      data.set(key, value);
+      return 'OK';
+    },
+    mget: (...keys) => keys.map(key => (data.has(key) ? data.get(key) : null)),
+    del: (...keys) => keys.filter(key => data.delete(key)).length,
+    exists: (...keys) => keys.filter(key => data.has(key)).length,
+    expire: key => (data.has(key) ? 1 : 0),
+    rename: (from, to) => {
+      if (!data.has(from)) throw new Error('ERR no such key');
+      data.set(to, data.get(from));
+      data.delete(from);
+      return 'OK';
+    },
+    hget: (key, field) => (data.has(key) && data.get(key).has(field) ? data.get(key).get(field) : null),
+    hmget: (key, ...fields) => {
+      if (!data.has(key)) return null;
+      return Object.fromEntries(fields.map(field => [field, data.get(key).get(field) ?? null]));
+    },
+    hgetall: key => (data.has(key) ? Object.fromEntries(data.get(key)) : null),
+    hset: (key, entries) => {
+      Object.entries(entries).forEach(([field, value]) => hash(key).set(field, value));
+      return Object.keys(entries).length;
+    },
+    hsetnx: (key, field, value) => {
+      if (hash(key).has(field)) return 0;
+      hash(key).set(field, value);
+      return 1;
+    },
+    hdel: (key, ...fields) => fields.filter(field => hash(key).delete(field)).length,
+    hincrby: (key, field, increment) => {
+      const value = Number(hash(key).get(field) || 0) + increment;
+      hash(key).set(field, value);
+      return value;
+    },
+    hlen: key => (data.has(key) ? data.get(key).size : 0),
+    rpush: (key, ...values) => list(key).push(...values),
+    llen: key => (data.has(key) ? data.get(key).length : 0),
+    lrange: (key, start, stop) => {
+      const values = data.has(key) ? data.get(key) : [];
+      return values.slice(start, stop === -1 ? undefined : stop + 1);
+    },
+    sadd: (key, ...members) => {
+      if (!data.has(key)) data.set(key, new Set());
+      const before = data.get(key).size;
+      members.forEach(member => data.get(key).add(member));
+      return data.get(key).size - before;
+    },
+    smembers: key => (data.has(key) ? [...data.get(key)] : []),
+  };
+
+  const client = { data };
+
+  Object.entries(commands).forEach(([name, command]) => {
+    client[name] = async (...args) => {
+      await tick();
+      return command(...args);
+    };
+  });
+
+  // Queued commands run together, with nothing interleaved
+  client.multi = () => {
+    const queued = [];
+    const tx = {
+      async exec() {
+        await tick();
+        return queued.map(([name, args]) => commands[name](...args));
+      },
+    };
+    Object.keys(commands).forEach(name => {
+      tx[name] = (...args) => {
+        queued.push([name, args]);
+        return tx;
+      };
+    });
+    return tx;
+  };
+
+  return client;
+}
+
+module.exports = {
+  createMemoryKv,
+};
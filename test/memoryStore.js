@@ -0,0 +1,26 @@
+/**
+ * @fileoverview In-memory playlist store for tests
+ * Same interface as the stores in lib/playlistStore (see setPlaylistStore)
+ */
+
+/**
+ * Create an in-memory playlist store
+ * @param {Object} playlists - Map of playlist ID → { name, tracks[] }
+ * @returns {Object} Playlist store
+ */
+function createMemoryStore(playlists = {}) {
+  // Copies in and out, like the real stores' serialization
+  const copy = value => JSON.parse(JSON.stringify(value));
+  const data = copy(playlists);
+
+  return {
+    name: 'memory',
+    async getPlaylist(id) { return data[id] ? copy(data[id]) : null; },
+    async listPlaylists() { return copy(data); },
+    async savePlaylist(id, playlist) { data[id] = copy(playlist); },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
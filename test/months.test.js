@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  getMonthKey,
+  getDayKey,
+  shiftMonth,
+  shiftDay,
+  getPreviousMonthKey,
+  getDayStart,
+} = require('../lib/months');
+const { getVotingConfig, setKvClient } = require('../lib/votes');
+const { createMemoryKv } = require('./memoryKv');
+
+// 23:30 on Jan 31 in New York
+const NEW_YORK_EVENING = '2026-02-01T04:30:00Z';
+
+/**
+ * Run a function with STATS_TIME_ZONE set
+ * @param {string} timeZone
+ * @param {Function} fn
+ */
+async function withTimeZone(timeZone, fn) {
+  const previous = process.env.STATS_TIME_ZONE;
+  process.env.STATS_TIME_ZONE = timeZone;
+  try {
+    await fn();
+  } finally {
+    if (previous === undefined) delete process.env.STATS_TIME_ZONE;
+    else process.env.STATS_TIME_ZONE = previous;
+  }
+}
+
+test('keys follow STATS_TIME_ZONE, defaulting to UTC', async () => {
+  assert.strictEqual(getMonthKey(NEW_YORK_EVENING), '2026-02');
+  assert.strictEqual(getDayKey(NEW_YORK_EVENING), '2026-02-01');
+
+  await withTimeZone('America/New_York', () => {
+    assert.strictEqual(getMonthKey(NEW_YORK_EVENING), '2026-01');
+    assert.strictEqual(getDayKey(new Date(NEW_YORK_EVENING)), '2026-01-31');
+    assert.strictEqual(getPreviousMonthKey(new Date(NEW_YORK_EVENING)), '2025-12');
+  });
+
+  assert.strictEqual(getMonthKey('not a date'), null);
+});
+
+test('unknown time zones fall back to UTC', async () => {
+  await withTimeZone('Mars/Olympus_Mons', () => {
+    assert.strictEqual(getMonthKey(NEW_YORK_EVENING), '2026-02');
+  });
+});
+
+test('months and days step across year and month ends', () => {
+  assert.strictEqual(shiftMonth('2026-01', -1), '2025-12');
+  assert.strictEqual(shiftMonth('2026-12', 1), '2027-01');
+  assert.strictEqual(shiftDay('2026-03-01', -1), '2026-02-28');
+  assert.strictEqual(shiftDay('2028-02-28', 1), '2028-02-29');
+});
+
+test('days start at local midnight, across DST changes', () => {
+  assert.strictEqual(getDayStart('2026-01-01', 'UTC').toISOString(), '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(getDayStart('2026-03-08', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.strictEqual(getDayStart('2026-03-09', 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.strictEqual(getDayStart('2026-11-01', 'America/New_York').toISOString(), '2026-11-01T04:00:00.000Z');
+  assert.strictEqual(getDayStart('2026-01-01', 'Asia/Kolkata').toISOString(), '2025-12-31T18:30:00.000Z');
+});
+
+test('the default voting window runs midnight to midnight in STATS_TIME_ZONE', async () => {
+  setKvClient(createMemoryKv());
+
+  try {
+    await withTimeZone('America/New_York', async () => {
+      const config = await getVotingConfig('2026-03');
+      assert.strictEqual(config.opensAt, '2026-03-01T05:00:00.000Z');
+      assert.strictEqual(config.closesAt, '2026-04-01T04:00:00.000Z');
+    });
+  } finally {
+    setKvClient(null);
+  }
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryStore } = require('./memoryStore');
+const { createOEmbedCache } = require('../lib/oembedCache');
+const { setEmbedFetch } = require('../lib/spotifyEmbed');
+const { setPlaylistStore } = require('../lib/playlistStore');
+const { MAIN_PLAYLIST_ID, buildStatsWithEmbed } = require('../lib/playlistData');
+
+const URL = 'https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M';
+const TTL_MS = 1000;
+const STALE_MS = 5000;
+const NEGATIVE_TTL_MS = 200;
+
+/**
+ * Entry store with expiry on the test clock
+ * @param {Function} now - Clock (ms)
+ * @returns {Object} Store
+ */
+function createClockStore(now) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const stored = entries.get(key);
+      return stored && stored.expiresAt > now() ? stored.entry : null;
+    },
+    async set(key, entry, ttlMs) {
+      entries.set(key, { entry, expiresAt: now() + ttlMs });
+    },
+  };
+}
+
+/**
+ * Cache with a stub fetcher and a clock the test moves
+ * @returns {Object} { cache, clock, calls, respond(fn) }
+ */
+function setup() {
+  const clock = { ms: 0 };
+  const now = () => clock.ms;
+  const calls = [];
+  let respond = () => ({ title: 'Playlist', thumbnail: 'cover-1' });
+
+  const cache = createOEmbedCache({
+    fetcher: async url => {
+      calls.push(url);
+      return respond();
+    },
+    store: createClockStore(now),
+    ttlMs: TTL_MS,
+    staleMs: STALE_MS,
+    negativeTtlMs: NEGATIVE_TTL_MS,
+    now,
+  });
+
+  return { cache, clock, calls, respond: fn => { respond = fn; } };
+}
+
+const fail = () => { throw new Error('oEmbed request failed: 503'); };
+
+test('fresh entries are served from the cache', async () => {
+  const { cache, calls } = setup();
+
+  const first = await cache.get(URL);
+  const second = await cache.get(URL);
+
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(second, first);
+  assert.deepStrictEqual(second, {
+    data: { title: 'Playlist', thumbnail: 'cover-1' },
+    stale: false,
+    error: null,
+  });
+});
+
+test('concurrent lookups share one fetch', async () => {
+  const { cache, calls } = setup();
+
+  await Promise.all([cache.get(URL), cache.get(URL), cache.get(URL)]);
+
+  assert.strictEqual(calls.length, 1);
+});
+
+test('expired entries are refetched', async () => {
+  const { cache, clock, calls, respond } = setup();
+
+  await cache.get(URL);
+  respond(() => ({ title: 'Playlist', thumbnail: 'cover-2' }));
+  clock.ms = TTL_MS;
+
+  const { data, stale } = await cache.get(URL);
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(data.thumbnail, 'cover-2');
+  assert.strictEqual(stale, false);
+});
+
+test('failed refreshes serve the last response until the stale window ends', async () => {
+  const { cache, clock, calls, respond } = setup();
+
+  await cache.get(URL);
+  respond(fail);
+  clock.ms = TTL_MS;
+
+  const stale = await cache.get(URL);
+  assert.strictEqual(stale.stale, true);
+  assert.strictEqual(stale.data.thumbnail, 'cover-1');
+  assert.match(stale.error, /503/);
+
+  // The failure is remembered - no refetch inside the negative TTL
+  clock.ms = TTL_MS + NEGATIVE_TTL_MS - 1;
+  assert.strictEqual((await cache.get(URL)).stale, true);
+  assert.strictEqual(calls.length, 2);
+
+  // Past the stale window there is nothing left to serve
+  clock.ms = TTL_MS + STALE_MS;
+  await assert.rejects(cache.get(URL), /503/);
+});
+
+test('failures are cached until the negative TTL expires', async () => {
+  const { cache, clock, calls, respond } = setup();
+
+  respond(fail);
+  await assert.rejects(cache.get(URL), /503/);
+  await assert.rejects(cache.get(URL), /\(cached\)/);
+  assert.strictEqual(calls.length, 1);
+
+  respond(() => ({ title: 'Playlist', thumbnail: 'cover-1' }));
+  clock.ms = NEGATIVE_TTL_MS;
+
+  const { data, stale } = await cache.get(URL);
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(data.thumbnail, 'cover-1');
+  assert.strictEqual(stale, false);
+});
+
+test('stats keep the stored name and cover when oEmbed has nothing', async () => {
+  setEmbedFetch(async () => ({ ok: false, status: 503 }));
+  setPlaylistStore(createMemoryStore({
+    [MAIN_PLAYLIST_ID]: {
+      name: 'Digital Diggaz',
+      coverImage: 'https://i.scdn.co/image/main',
+      tracks: [],
+    },
+    '1bVgAmBPgqGHHnOlEJTzXk': {
+      name: 'Digital Diggaz January 2026',
+      coverImage: 'https://i.scdn.co/image/january',
+      month: '2026-01',
+      tracks: [],
+    },
+  }));
+
+  try {
+    const stats = await buildStatsWithEmbed();
+
+    assert.strictEqual(stats.main.name, 'Digital Diggaz');
+    assert.strictEqual(stats.main.coverImage, 'https://i.scdn.co/image/main');
+    assert.strictEqual(stats.otherPlaylists[0].name, 'Digital Diggaz January 2026');
+    assert.strictEqual(stats.otherPlaylists[0].coverImage, 'https://i.scdn.co/image/january');
+  } finally {
+    setEmbedFetch(null);
+    setPlaylistStore(null);
+  }
+});
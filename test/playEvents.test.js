@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryKv } = require('./memoryKv');
+const {
+  MAX_EVENTS_PER_TRACK,
+  normalizeEvent,
+  recordPlayEvents,
+  getMostPlayed,
+  setKvClient,
+} = require('../lib/playEvents');
+
+const TRACK_ID = '4uLU6hMCjMI75M1A2tKUQC';
+const OTHER_TRACK_ID = '7GhIk7Il098yCjg4BQjzvb';
+const NOW = new Date('2026-05-10T12:00:00Z');
+
+// A report that carries playback from 20s to 35s - past the 30s threshold
+const listenEvent = (trackId = TRACK_ID) => normalizeEvent({
+  type: 'progress',
+  trackId,
+  position: 35000,
+  duration: 200000,
+  listenedMs: 15000,
+});
+
+test.afterEach(() => setKvClient(null));
+
+test('a listener counts one listen per track in the dedupe window', async () => {
+  setKvClient(createMemoryKv());
+
+  await recordPlayEvents([listenEvent()], { listener: 'a', now: NOW });
+  await recordPlayEvents([listenEvent()], { listener: 'a', now: NOW });
+  await recordPlayEvents([listenEvent()], { listener: 'b', now: NOW });
+
+  const [top] = await getMostPlayed('2026-05');
+  assert.strictEqual(top.trackId, TRACK_ID);
+  assert.strictEqual(top.plays, 2);
+  assert.strictEqual(top.listenedMs, 45000);
+});
+
+test('parallel batches from one listener count one listen', async () => {
+  setKvClient(createMemoryKv());
+
+  await Promise.all(Array.from({ length: 5 }, () =>
+    recordPlayEvents([listenEvent()], { listener: 'a', now: NOW })
+  ));
+
+  const [top] = await getMostPlayed('2026-05');
+  assert.strictEqual(top.plays, 1);
+});
+
+test('a batch keeps at most MAX_EVENTS_PER_TRACK events per track', async () => {
+  const kv = createMemoryKv();
+  setKvClient(kv);
+
+  const flood = Array.from({ length: MAX_EVENTS_PER_TRACK + 5 }, () => listenEvent());
+  const { day, stored } = await recordPlayEvents(
+    [...flood, listenEvent(OTHER_TRACK_ID)],
+    { listener: 'a', now: NOW }
+  );
+
+  assert.strictEqual(stored, MAX_EVENTS_PER_TRACK + 1);
+  assert.strictEqual(await kv.llen(`events:${day}`), MAX_EVENTS_PER_TRACK + 1);
+
+  const played = await getMostPlayed('2026-05');
+  const byId = Object.fromEntries(played.map(entry => [entry.trackId, entry]));
+  assert.strictEqual(byId[TRACK_ID].plays, 1);
+  assert.strictEqual(byId[TRACK_ID].listenedMs, MAX_EVENTS_PER_TRACK * 15000);
+  assert.strictEqual(byId[OTHER_TRACK_ID].plays, 1);
+});
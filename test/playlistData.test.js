@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryStore } = require('./memoryStore');
+const { getPlaylistStore, setPlaylistStore } = require('../lib/playlistStore');
+const {
+  MAIN_PLAYLIST_ID,
+  addTrack,
+  addTracks,
+  updateTrack,
+} = require('../lib/playlistData');
+
+const TRACK_ID = '0000000000000000track1';
+
+test('updateTrack rejects a missing or non-object updates with 400', async () => {
+  for (const updates of [undefined, null, 'name', ['name']]) {
+    await assert.rejects(
+      updateTrack(MAIN_PLAYLIST_ID, TRACK_ID, updates),
+      error => error.status === 400 && /updates/.test(error.message)
+    );
+  }
+});
+
+test('bare links take stored details, or wait as pending until completed', async () => {
+  const known = {
+    id: '4uLU6hMCjMI75M1A2tKUQC',
+    name: 'Known Song',
+    artists: ['Artist'],
+    duration_ms: 200000,
+    added_at: '2026-03-01T00:00:00.000Z',
+  };
+  const unknownId = '7GhIk7Il098yCjg4BQjzvb';
+  const addedAt = '2026-05-01T00:00:00.000Z';
+
+  setPlaylistStore(createMemoryStore({
+    [MAIN_PLAYLIST_ID]: { name: 'Digital Diggaz', tracks: [] },
+    'archive-2026-03': { name: 'March', month: '2026-03', tracks: [known] },
+  }));
+
+  try {
+    const result = await addTracks(MAIN_PLAYLIST_ID, [], {
+      links: [
+        { line: 1, id: known.id, added_at: addedAt },
+        { line: 2, id: unknownId, added_at: addedAt },
+      ],
+    });
+
+    assert.deepStrictEqual(result.added, [{ ...known, added_at: addedAt }]);
+    assert.deepStrictEqual(result.pending.map(link => link.line), [2]);
+
+    let main = await getPlaylistStore().getPlaylist(MAIN_PLAYLIST_ID);
+    assert.deepStrictEqual(main.tracks.map(t => t.id), [known.id]);
+    assert.deepStrictEqual(main.pending, [{ id: unknownId, added_at: addedAt }]);
+
+    // Pasting the same link again is a duplicate
+    const again = await addTracks(MAIN_PLAYLIST_ID, [], {
+      links: [{ line: 1, id: unknownId, added_at: addedAt }],
+    });
+    assert.strictEqual(again.duplicates.length, 1);
+
+    // Adding it with details completes it
+    await addTrack(MAIN_PLAYLIST_ID, {
+      id: unknownId,
+      name: 'New Song',
+      artists: ['Artist'],
+      duration_ms: 180000,
+      added_at: addedAt,
+    });
+
+    main = await getPlaylistStore().getPlaylist(MAIN_PLAYLIST_ID);
+    assert.deepStrictEqual(main.tracks.map(t => t.id), [known.id, unknownId]);
+    assert.strictEqual(main.pending, undefined);
+  } finally {
+    setPlaylistStore(null);
+  }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryStore } = require('./memoryStore');
+const { getPlaylistStore, setPlaylistStore } = require('../lib/playlistStore');
+const { MAIN_PLAYLIST_ID } = require('../lib/playlistData');
+const { rolloverMonth } = require('../lib/rollover');
+const { buildPlaylistHistory } = require('../lib/playlistHistory');
+
+const track = (id, artist, addedAt) => ({
+  id: id.padStart(22, '0'),
+  name: `Track ${id}`,
+  artists: [artist],
+  duration_ms: 200000,
+  added_at: addedAt,
+});
+
+test.afterEach(() => setPlaylistStore(null));
+
+test('a rollover does not turn the archived main tracks into evergreens', async () => {
+  setPlaylistStore(createMemoryStore({
+    [MAIN_PLAYLIST_ID]: {
+      name: 'Digital Diggaz',
+      tracks: [
+        track('1', 'Artist A', '2026-09-02T12:00:00Z'),
+        track('2', 'Artist B', '2026-09-10T12:00:00Z'),
+      ],
+    },
+  }));
+
+  await rolloverMonth({ month: '2026-09' });
+  const history = await buildPlaylistHistory();
+
+  assert.deepStrictEqual(history.months, ['2026-09']);
+  assert.deepStrictEqual(history.evergreens, []);
+  assert.deepStrictEqual(history.artistStreaks, []);
+});
+
+test('main tracks added after a rollover count for their own month', async () => {
+  setPlaylistStore(createMemoryStore({
+    [MAIN_PLAYLIST_ID]: {
+      name: 'Digital Diggaz',
+      tracks: [track('1', 'Artist A', '2026-09-02T12:00:00Z')],
+    },
+  }));
+
+  await rolloverMonth({ month: '2026-09' });
+
+  const store = getPlaylistStore();
+  const main = await store.getPlaylist(MAIN_PLAYLIST_ID);
+  main.tracks.push(track('2', 'Artist A', '2026-10-03T12:00:00Z'));
+  await store.savePlaylist(MAIN_PLAYLIST_ID, main);
+
+  const history = await buildPlaylistHistory();
+  const [artist] = history.artistStreaks;
+
+  assert.deepStrictEqual(history.months, ['2026-09', '2026-10']);
+  assert.deepStrictEqual(history.evergreens, []);
+  assert.strictEqual(artist.longestStreak.length, 2);
+  assert.deepStrictEqual(
+    [artist.firstFeatured.month, artist.firstFeatured.addedAt],
+    ['2026-09', '2026-09-02T12:00:00Z']
+  );
+});
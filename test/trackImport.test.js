@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseSpotifyTrackId,
+  parseDuration,
+  parseImportText,
+} = require('../lib/trackImport');
+
+const ID = '4uLU6hMCjMI75M1A2tKUQC';
+const ADDED_AT = '2026-05-01T00:00:00.000Z';
+
+test('track IDs come from share links, URIs and bare IDs', () => {
+  assert.strictEqual(parseSpotifyTrackId(`https://open.spotify.com/track/${ID}?si=abc`), ID);
+  assert.strictEqual(parseSpotifyTrackId(`https://open.spotify.com/intl-de/track/${ID}`), ID);
+  assert.strictEqual(parseSpotifyTrackId(`spotify:track:${ID}`), ID);
+  assert.strictEqual(parseSpotifyTrackId(ID), ID);
+  assert.strictEqual(parseSpotifyTrackId(`https://open.spotify.com/album/${ID}`), null);
+  assert.strictEqual(parseSpotifyTrackId(''), null);
+});
+
+test('durations parse from m:ss, h:mm:ss and milliseconds', () => {
+  assert.strictEqual(parseDuration('3:30'), 210000);
+  assert.strictEqual(parseDuration('1:02:03'), 3723000);
+  assert.strictEqual(parseDuration('210000'), 210000);
+  assert.strictEqual(parseDuration('3m30s'), null);
+});
+
+test('full lines become tracks', () => {
+  const parsed = parseImportText(
+    `https://open.spotify.com/track/${ID} | Song | Artist A, Artist B | 3:30`,
+    { addedAt: ADDED_AT }
+  );
+
+  assert.strictEqual(parsed.format, 'lines');
+  assert.deepStrictEqual(parsed.tracks, [{
+    line: 1,
+    track: {
+      id: ID,
+      name: 'Song',
+      artists: ['Artist A', 'Artist B'],
+      duration_ms: 210000,
+      added_at: ADDED_AT,
+    },
+  }]);
+  assert.deepStrictEqual(parsed.links, []);
+  assert.deepStrictEqual(parsed.malformed, []);
+});
+
+test('bare links are returned as links, not malformed', () => {
+  const parsed = parseImportText(
+    `\nhttps://open.spotify.com/track/${ID}\nspotify:track:7GhIk7Il098yCjg4BQjzvb |  | `,
+    { addedAt: ADDED_AT }
+  );
+
+  assert.deepStrictEqual(parsed.links, [
+    { line: 2, id: ID, added_at: ADDED_AT },
+    { line: 3, id: '7GhIk7Il098yCjg4BQjzvb', added_at: ADDED_AT },
+  ]);
+  assert.deepStrictEqual(parsed.tracks, []);
+  assert.deepStrictEqual(parsed.malformed, []);
+});
+
+test('lines with only some fields name what is missing', () => {
+  const parsed = parseImportText(`${ID} | Song`, { addedAt: ADDED_AT });
+
+  assert.strictEqual(parsed.malformed.length, 1);
+  assert.match(parsed.malformed[0].errors[0], /missing artists, duration/);
+});
+
+test('unrecognised links and bad fields are malformed', () => {
+  const parsed = parseImportText(
+    `https://example.com/song | Song | Artist | 3:30\n${ID} | Song | Artist | soon`,
+    { addedAt: ADDED_AT }
+  );
+
+  assert.deepStrictEqual(parsed.malformed.map(row => row.line), [1, 2]);
+  assert.match(parsed.malformed[0].errors[0], /not a Spotify track/);
+  assert.match(parsed.malformed[1].errors[0], /duration_ms/);
+});
+
+test('CSV exports map their columns, including quoted fields', () => {
+  const csv = [
+    'Track URI,Track Name,Artist Name(s),Duration (ms),Added At',
+    `spotify:track:${ID},"Song, Part 2","Artist A;Artist B",210000,2026-04-02T10:00:00Z`,
+    'spotify:track:nope,Broken,Artist,1000,2026-04-02T10:00:00Z',
+  ].join('\n');
+
+  const parsed = parseImportText(csv, { addedAt: ADDED_AT });
+
+  assert.strictEqual(parsed.format, 'csv');
+  assert.deepStrictEqual(parsed.tracks, [{
+    line: 2,
+    track: {
+      id: ID,
+      name: 'Song, Part 2',
+      artists: ['Artist A', 'Artist B'],
+      duration_ms: 210000,
+      added_at: '2026-04-02T10:00:00.000Z',
+    },
+  }]);
+  assert.deepStrictEqual(parsed.malformed.map(row => row.line), [3]);
+});
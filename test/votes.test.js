@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryKv } = require('./memoryKv');
+const {
+  recordVote,
+  getVoteTally,
+  migrateLegacyVotes,
+  claimVote,
+  releaseVote,
+  getVotingConfig,
+  setKvClient,
+} = require('../lib/votes');
+
+const MONTH = '2024-05';
+const TRACK = { trackId: 'track1', trackName: 'Track One', artists: ['Artist'] };
+
+test.afterEach(() => setKvClient(null));
+
+test('N parallel votes produce exactly N', async () => {
+  const kv = createMemoryKv();
+  setKvClient(kv);
+
+  const votes = 50;
+  await Promise.all(Array.from({ length: votes }, () => recordVote(MONTH, TRACK)));
+
+  const { results, totalVotes } = await getVoteTally(MONTH);
+  assert.strictEqual(totalVotes, votes);
+  assert.deepStrictEqual(results, [{ ...TRACK, votes }]);
+});
+
+test('legacy votes are migrated once and kept alongside new votes', async () => {
+  const kv = createMemoryKv();
+  setKvClient(kv);
+
+  await kv.hset(`votes:${MONTH}`, {
+    track1: JSON.stringify({ trackName: 'Track One', artists: ['Artist'], votes: 7 }),
+    track2: JSON.stringify({ trackName: 'Track Two', artists: [], votes: 3 }),
+  });
+
+  await Promise.all([
+    recordVote(MONTH, TRACK),
+    recordVote(MONTH, TRACK),
+    getVoteTally(MONTH),
+  ]);
+
+  const { results, totalVotes } = await getVoteTally(MONTH);
+  assert.strictEqual(totalVotes, 12);
+  assert.deepStrictEqual(results.map(r => [r.trackId, r.votes]), [['track1', 9], ['track2', 3]]);
+  assert.strictEqual(await kv.exists(`votes:${MONTH}`, `votes:${MONTH}:migrating`), 0);
+});
+
+test('an interrupted migration is resumed from the :migrating key', async () => {
+  const kv = createMemoryKv();
+  setKvClient(kv);
+
+  // Renamed, but the process died before copying
+  await kv.hset(`votes:${MONTH}:migrating`, {
+    track1: JSON.stringify({ trackName: 'Track One', artists: [], votes: 4 }),
+  });
+
+  assert.strictEqual(await migrateLegacyVotes(MONTH), 1);
+
+  const { totalVotes } = await getVoteTally(MONTH);
+  assert.strictEqual(totalVotes, 4);
+});
+
+test('parallel claims from one visitor only let one vote through', async () => {
+  setKvClient(createMemoryKv());
+
+  const claims = await Promise.all([
+    claimVote(MONTH, 'visitor', 'track1'),
+    claimVote(MONTH, 'visitor', 'track2'),
+  ]);
+
+  assert.deepStrictEqual(claims, [null, 'track1']);
+});
+
+test('VOTING_OPEN_DAY is clamped to the last day of short months', async () => {
+  setKvClient(createMemoryKv());
+  process.env.VOTING_OPEN_DAY = '31';
+
+  try {
+    const { opensAt, closesAt } = await getVotingConfig('2023-02');
+    assert.strictEqual(new Date(opensAt).getDate(), 28);
+    assert.ok(new Date(opensAt) < new Date(closesAt));
+
+    process.env.VOTING_OPEN_DAY = '0';
+    await assert.rejects(getVotingConfig('2023-02'), /VOTING_OPEN_DAY/);
+  } finally {
+    delete process.env.VOTING_OPEN_DAY;
+  }
+});
+
+test('a released claim lets the visitor vote again', async () => {
+  setKvClient(createMemoryKv());
+
+  assert.strictEqual(await claimVote(MONTH, 'visitor', 'track1'), null);
+  await releaseVote(MONTH, 'visitor');
+  assert.strictEqual(await claimVote(MONTH, 'visitor', 'track2'), null);
+});
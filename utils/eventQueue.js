@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Batched, debounced event sender (browser)
+ * Collects events and POSTs them together instead of one request each
+ *
+ * A batch is sent once no new event has arrived for `debounceMs`, as soon
+ * as `maxBatch` events are waiting, or when the page is hidden/closed
+ * (via sendBeacon, which survives the page unloading).
+ */
+
+/**
+ * Create an event queue
+ *
+ * @param {Object} options
+ * @param {string} options.url - Endpoint receiving { events: [...] }
+ * @param {number} options.debounceMs - Quiet time before sending (default 5s)
+ * @param {number} options.maxBatch - Send immediately at this many events (default 20)
+ * @returns {Object} { push(event), flush({ beacon }), stop() }
+ */
+function createEventQueue({ url, debounceMs = 5000, maxBatch = 20 }) {
+  let pending = [];
+  let timer = null;
+  let stopped = false;
+
+  /**
+   * Send everything waiting
+   * @param {Object} options
+   * @param {boolean} options.beacon - Use sendBeacon (page is going away)
+   */
+  function flush({ beacon = false } = {}) {
+    clearTimeout(timer);
+    timer = null;
+
+    if (pending.length === 0) return;
+
+    const body = JSON.stringify({ events: pending });
+    pending = [];
+
+    if (beacon && navigator.sendBeacon) {
+      navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+      return;
+    }
+
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    })
+      .then(res => {
+        // Storage not configured - no point sending more
+        if (res.status === 503) stopped = true;
+      })
+      .catch(err => console.warn('[EventQueue] Send failed:', err.message));
+  }
+
+  /**
+   * Queue an event
+   * @param {Object} event
+   */
+  function push(event) {
+    if (stopped) return;
+
+    pending.push(event);
+
+    if (pending.length >= maxBatch) {
+      flush();
+      return;
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  }
+
+  /**
+   * Send what's left and stop accepting events
+   */
+  function stop() {
+    flush({ beacon: true });
+    stopped = true;
+  }
+
+  return { push, flush, stop };
+}
+
+module.exports = {
+  createEventQueue,
+};
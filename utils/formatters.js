@@ -71,6 +71,64 @@ function formatDate(dateStr) {
   return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
+/**
+ * Format a month key into a month name and year
+ * 
+ * @param {string} monthKey - Month in YYYY-MM format
+ * @returns {string} Formatted month (e.g., "January 2026")
+ * 
+ * @example
+ * formatMonth("2026-01") // "January 2026"
+ */
+function formatMonth(monthKey) {
+  if (!monthKey) return 'Unknown';
+
+  const [year, month] = monthKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, 1));
+
+  return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Format a playback position as M:SS
+ * 
+ * @param {number} ms - Position in milliseconds
+ * @returns {string} Time (e.g., "3:05")
+ * 
+ * @example
+ * formatTrackTime(185000) // "3:05"
+ */
+function formatTrackTime(ms) {
+  const totalSeconds = Math.max(0, Math.floor((ms || 0) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format a time span as a countdown
+ * 
+ * @param {number} ms - Remaining time in milliseconds
+ * @returns {string} Countdown (e.g., "3d 4h 12m" or "4m 05s")
+ * 
+ * @example
+ * formatCountdown(273600000) // "3d 4h 0m"
+ */
+function formatCountdown(ms) {
+  if (!ms || ms < 0) return '0m 00s';
+
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  // Show seconds only in the final hour
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds.toString().padStart(2, '0')}s`;
+}
+
 /**
  * Truncate text with ellipsis
  * 
@@ -89,5 +147,8 @@ module.exports = {
   formatDuration,
   formatNumber,
   formatDate,
+  formatMonth,
+  formatCountdown,
+  formatTrackTime,
   truncate,
 };
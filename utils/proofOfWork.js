@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Proof-of-work helpers for vote submission
+ * Shared by the server (verify) and the voting UI (solve)
+ *
+ * A challenge is solved by finding a nonce where
+ * SHA-256("<token>:<nonce>") starts with `difficulty` zero bits.
+ */
+
+/**
+ * Count leading zero bits in a hash
+ *
+ * @param {Uint8Array} bytes - Hash bytes
+ * @returns {number} Number of leading zero bits
+ */
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    // Zero bits before the first set bit of this byte
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+
+  return bits;
+}
+
+/**
+ * Find a nonce solving a challenge (browser, uses Web Crypto)
+ *
+ * @param {Object} challenge - { token, difficulty } from GET /api/vote
+ * @returns {Promise<number>} Nonce
+ */
+async function solveChallenge({ token, difficulty }) {
+  const encoder = new TextEncoder();
+
+  for (let nonce = 0; ; nonce++) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${nonce}`));
+    if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      return nonce;
+    }
+  }
+}
+
+module.exports = {
+  countLeadingZeroBits,
+  solveChallenge,
+};